@@ -0,0 +1,573 @@
+// VIQRC Enhanced - Background Service Worker
+// Fetches RobotEvents API data for the content scripts (following v2 pagination) and caches
+// responses in IndexedDB, so the skills page and event pages share data instead of downloading it again.
+// All network requests share one rate-limited, prioritized queue.
+// An hourly alarm refreshes captured competitions whose team lists have gone stale.
+(function() {
+  'use strict';
+
+  // Capture history merging, shared with the page scripts
+  importScripts('shared.js');
+  const { mergeCaptureHistory } = vexShared;
+
+  const CONFIG = {
+    name: 'VIQRC Enhanced',
+    apiBaseUrl: 'https://www.robotevents.com/api',
+    dbName: 'vex-enhanced-cache',
+    dbVersion: 1,
+    storeName: 'responses',
+    defaultTtl: 15 * 60 * 1000,
+    pruneInterval: 60 * 60 * 1000, // How often a cache write also deletes expired entries
+    perPage: 250,           // Largest page size the v2 API allows
+    maxConcurrent: 4,       // Requests in flight at once, across all tabs
+    burstSize: 6,           // Token bucket: requests that may start back to back...
+    requestsPerSecond: 3,   // ...and the sustained rate after that
+    refreshAlarm: 'refresh-captures',
+    refreshCheckMinutes: 60,   // How often to look for stale captures
+    defaultAutoRefreshHours: 24, // Capture age that triggers a refresh, unless set on the options page
+    debug: false  // Set to true for verbose logging
+  };
+
+  const MINUTE = 60 * 1000;
+  const HOUR = 60 * MINUTE;
+
+  // How long each type of response stays fresh (first matching pattern wins)
+  const CACHE_TTLS = [
+    { type: 'seasons', pattern: /\/api\/v2\/seasons/, ttl: 24 * HOUR },
+    { type: 'skills-standings', pattern: /\/api\/seasons\/\d+\/skills/, ttl: HOUR },
+    { type: 'event-skills', pattern: /\/api\/v2\/events\/\d+\/skills/, ttl: 30 * MINUTE },
+    { type: 'event-awards', pattern: /\/api\/v2\/events\/\d+\/awards/, ttl: HOUR },
+    { type: 'event-teams', pattern: /\/api\/v2\/events\/\d+\/teams/, ttl: HOUR },
+    { type: 'event', pattern: /\/api\/v2\/events\?/, ttl: 6 * HOUR },
+    { type: 'team-matches', pattern: /\/api\/v2\/teams\/\d+\/matches/, ttl: 30 * MINUTE },
+    { type: 'team-awards', pattern: /\/api\/v2\/teams\/\d+\/awards/, ttl: 6 * HOUR },
+    { type: 'team-ids', pattern: /\/api\/v2\/teams\?/, ttl: 24 * HOUR }
+  ];
+
+  // Logging utilities
+  const debug = (...args) => CONFIG.debug && console.log(`${CONFIG.name} [DEBUG] -`, ...args);
+  const error = (...args) => console.error(`${CONFIG.name} -`, ...args);
+
+  // Entries older than this can never be served again
+  const MAX_TTL = Math.max(CONFIG.defaultTtl, ...CACHE_TTLS.map(rule => rule.ttl));
+
+  // Get the time-to-live for a URL based on its endpoint type
+  function getTtl(url) {
+    const rule = CACHE_TTLS.find(r => r.pattern.test(url));
+    return rule ? rule.ttl : CONFIG.defaultTtl;
+  }
+
+  let dbPromise = null;
+
+  // Open (and create on first use) the cache database
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(CONFIG.dbName, CONFIG.dbVersion);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(CONFIG.storeName, { keyPath: 'url' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return dbPromise;
+  }
+
+  // Run a single request against the cache store
+  async function withStore(mode, callback) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(CONFIG.storeName, mode);
+      const request = callback(tx.objectStore(CONFIG.storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      // Quota errors abort the transaction without an error event
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  const cacheGet = (url) => withStore('readonly', store => store.get(url));
+  const cacheClear = () => withStore('readwrite', store => store.clear());
+
+  // Delete every entry older than the longest TTL
+  const cachePrune = () => withStore('readwrite', store => {
+    const cutoff = Date.now() - MAX_TTL;
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      if (!(cursor.value.fetchedAt >= cutoff)) cursor.delete();
+      cursor.continue();
+    };
+    return request;
+  });
+
+  let lastPrune = 0;
+
+  // Store a response; every pruneInterval a write also clears out expired entries, since
+  // each team's match history adds its own entry and nothing else removes them
+  async function cachePut(entry) {
+    await withStore('readwrite', store => store.put(entry));
+    if (Date.now() - lastPrune > CONFIG.pruneInterval) {
+      lastPrune = Date.now();
+      debug('Pruning expired cache entries');
+      await cachePrune();
+    }
+  }
+
+  // --- Request scheduler ---
+  // Every network request from every tab goes through one queue, so the extension as a whole
+  // stays within the concurrency limit and request rate, and a 429 pauses everyone.
+  const PRIORITIES = { high: 0, normal: 1, low: 2 };
+
+  const queue = [];           // Jobs waiting for a slot, run in priority then arrival order
+  let activeCount = 0;
+  let bucketTokens = CONFIG.burstSize;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;        // Set from Retry-After when the API rate limits us
+  let pumpTimer = null;
+  let jobSeq = 0;
+
+  const abortError = () => new DOMException('Request cancelled', 'AbortError');
+
+  // Queue a fetch; resolves with the Response once the scheduler has run it
+  function scheduleFetch(url, options, { priority = 'normal', owner = null, tag = null, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(abortError());
+        return;
+      }
+
+      // Cancelling drops a queued job (one in flight is cancelled by fetch itself). The listener is
+      // removed once the job settles, so long-lived signals don't collect one per request.
+      const onAbort = () => {
+        const idx = queue.indexOf(job);
+        if (idx !== -1) {
+          queue.splice(idx, 1);
+          reject(abortError());
+        }
+      };
+      const settle = (callback) => (value) => {
+        signal?.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+      const job = {
+        url, options, priority: PRIORITIES[priority] ?? PRIORITIES.normal, seq: jobSeq++, owner, tag, signal,
+        resolve: settle(resolve), reject: settle(reject)
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      queue.push(job);
+      pump();
+    });
+  }
+
+  // Top up the token bucket for the time elapsed since the last refill
+  function refillBucket() {
+    const now = Date.now();
+    bucketTokens = Math.min(CONFIG.burstSize, bucketTokens + (now - lastRefill) / 1000 * CONFIG.requestsPerSecond);
+    lastRefill = now;
+  }
+
+  // Start as many queued jobs as the limits allow, or wake up again when they would allow more
+  function pump() {
+    clearTimeout(pumpTimer);
+    pumpTimer = null;
+
+    while (queue.length > 0 && activeCount < CONFIG.maxConcurrent) {
+      const now = Date.now();
+      if (now < pausedUntil) {
+        pumpTimer = setTimeout(pump, pausedUntil - now);
+        return;
+      }
+
+      refillBucket();
+      if (bucketTokens < 1) {
+        pumpTimer = setTimeout(pump, Math.ceil((1 - bucketTokens) / CONFIG.requestsPerSecond * 1000));
+        return;
+      }
+      bucketTokens -= 1;
+
+      queue.sort((a, b) => a.priority - b.priority || a.seq - b.seq);
+      const job = queue.shift();
+      activeCount++;
+      fetch(job.url, { ...job.options, signal: job.signal })
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          activeCount--;
+          pump();
+        });
+    }
+  }
+
+  // Hold every queued request until the rate limit window has passed
+  function pauseQueue(delay) {
+    pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+    debug(`Queue paused for ${delay}ms`);
+  }
+
+  // Move a tab's queued requests for one tag (e.g. the team the user clicked) to the front
+  function prioritize(owner, tag) {
+    queue.forEach(job => {
+      if (job.owner === owner && job.tag === tag) {
+        job.priority = PRIORITIES.high;
+      }
+    });
+  }
+
+  // Wait for a delay, rejecting as soon as the signal aborts
+  function sleep(delay, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(abortError());
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, delay);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // Retry-After is either a number of seconds or an HTTP date
+  function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = parseInt(value, 10);
+    if (!isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  // Fetch through the scheduler, retrying rate-limited and failed requests with exponential backoff
+  async function fetchWithRetry(url, options = {}, schedule = {}, maxRetries = 3) {
+    let lastError;
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      try {
+        const response = await scheduleFetch(url, options, schedule);
+
+        if (response.status === 429) {
+          // Rate limited - pause the whole queue for the server's delay, or back off exponentially (1s, 2s, 4s, 8s...)
+          const delay = parseRetryAfter(response.headers.get('Retry-After')) ?? Math.pow(2, attempt) * 1000;
+          pauseQueue(delay);
+
+          if (attempt < maxRetries) {
+            debug(`Rate limited (429), retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`);
+            continue;
+          } else {
+            debug(`Rate limited (429), max retries exceeded`);
+            return response; // Return the 429 response after max retries
+          }
+        }
+
+        return response;
+      } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        lastError = err;
+        if (attempt < maxRetries) {
+          const delay = Math.pow(2, attempt) * 1000;
+          debug(`Fetch error, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries}):`, err.message);
+          await sleep(delay, schedule.signal);
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  // Build request headers; v2 endpoints need the API token, which never leaves the extension
+  async function getRequestOptions(url) {
+    if (!url.includes('/api/v2/')) return {};
+
+    const { apiToken } = await chrome.storage.local.get('apiToken');
+    if (!apiToken || !apiToken.trim()) return null;
+
+    return { headers: { 'Authorization': `Bearer ${apiToken.trim()}` } };
+  }
+
+  // Get JSON for a URL, from the cache when it is still fresh. The token is checked first,
+  // so clearing it stops cached v2 data being served too
+  async function apiGet(url, force = false, schedule = {}) {
+    const options = await getRequestOptions(url);
+    if (!options) {
+      debug('No API token configured, skipping', url);
+      return { ok: false, status: 401 };
+    }
+
+    if (!force) {
+      try {
+        const cached = await cacheGet(url);
+        if (cached && Date.now() - cached.fetchedAt < getTtl(url)) {
+          debug('Cache hit:', url);
+          return { ok: true, status: 200, data: cached.data, fetchedAt: cached.fetchedAt, cached: true };
+        }
+      } catch (err) {
+        error('Cache read failed:', err);
+      }
+    }
+
+    const response = await fetchWithRetry(url, options, schedule);
+    if (!response.ok) {
+      debug('Request failed - status:', response.status, url);
+      return { ok: false, status: response.status };
+    }
+
+    const data = await response.json();
+    const fetchedAt = Date.now();
+    try {
+      await cachePut({ url, data, fetchedAt });
+    } catch (err) {
+      error('Cache write failed:', err);
+    }
+
+    return { ok: true, status: response.status, data, fetchedAt, cached: false };
+  }
+
+  // Error for a non-OK API response, carrying the HTTP status
+  function apiError(status) {
+    const err = new Error(`API returned ${status}`);
+    err.status = status;
+    return err;
+  }
+
+  // Set a query parameter on a URL
+  function withParam(url, name, value) {
+    const parsed = new URL(url);
+    parsed.searchParams.set(name, value);
+    return parsed.toString();
+  }
+
+  // Follow RobotEvents v2 pagination (meta.last_page, falling back to links.next),
+  // yielding each page's items as it arrives
+  async function* fetchPages(url, options, schedule) {
+    let pageUrl = withParam(url, 'per_page', CONFIG.perPage);
+    let page = 1;
+
+    while (pageUrl) {
+      const response = await fetchWithRetry(pageUrl, options, schedule);
+      if (!response.ok) {
+        throw apiError(response.status);
+      }
+
+      const body = await response.json();
+      const lastPage = body.meta?.last_page || page;
+      yield { items: body.data || [], page, lastPage };
+
+      if (body.meta?.last_page) {
+        pageUrl = page < lastPage ? withParam(pageUrl, 'page', page + 1) : null;
+      } else {
+        pageUrl = body.links?.next || null;
+      }
+      page++;
+    }
+  }
+
+  // Get every item of a v2 list endpoint, from the cache when still fresh.
+  // Yields pages as they arrive; the complete list is cached once the last page is in.
+  async function* apiGetPages(url, force = false, schedule = {}) {
+    const cacheKey = `pages:${url}`;
+
+    const options = await getRequestOptions(url);
+    if (!options) {
+      debug('No API token configured, skipping', url);
+      throw apiError(401);
+    }
+
+    if (!force) {
+      try {
+        const cached = await cacheGet(cacheKey);
+        if (cached && Date.now() - cached.fetchedAt < getTtl(url)) {
+          debug('Cache hit:', url);
+          yield { items: cached.data, page: 1, lastPage: 1, fetchedAt: cached.fetchedAt, cached: true };
+          return;
+        }
+      } catch (err) {
+        error('Cache read failed:', err);
+      }
+    }
+
+    const items = [];
+    const fetchedAt = Date.now();
+    for await (const page of fetchPages(url, options, schedule)) {
+      items.push(...page.items);
+      yield { ...page, fetchedAt, cached: false };
+    }
+
+    try {
+      await cachePut({ url: cacheKey, data: items, fetchedAt });
+    } catch (err) {
+      error('Cache write failed:', err);
+    }
+  }
+
+  // Collect every item of a v2 list endpoint
+  async function apiGetAllItems(url, force, schedule) {
+    const items = [];
+    for await (const page of apiGetPages(url, force, schedule)) {
+      items.push(...page.items);
+    }
+    return items;
+  }
+
+  // Resolve an event SKU and fetch its registered teams. Returns the competition capture
+  // as the content scripts store it (team numbers plus event details) and the teams' details.
+  async function fetchCompetition(sku, force, schedule) {
+    const eventsUrl = `${CONFIG.apiBaseUrl}/v2/events?sku[]=${encodeURIComponent(sku)}`;
+    const [event] = await apiGetAllItems(eventsUrl, force, schedule);
+    if (!event) throw apiError(404);
+
+    const teams = await apiGetAllItems(`${CONFIG.apiBaseUrl}/v2/events/${event.id}/teams`, force, schedule);
+    const location = event.location || {};
+    const teamDetails = teams.map(team => ({
+      team: (team.number || '').toUpperCase(),
+      teamName: team.team_name || '',
+      organization: team.organization || '',
+      location: [team.location?.city, team.location?.region, team.location?.country].filter(Boolean).join(', '),
+      grade: team.grade || ''
+    })).filter(team => team.team);
+
+    return {
+      capture: {
+        teams: teamDetails.map(team => team.team),
+        program: event.program?.code || null,
+        name: event.name,
+        eventId: event.id,
+        seasonId: event.season?.id || null,
+        start: event.start || null,
+        end: event.end || null,
+        location: {
+          venue: location.venue || '',
+          city: location.city || '',
+          region: location.region || '',
+          country: location.country || ''
+        },
+        divisions: (event.divisions || []).map(division => ({ id: division.id, name: division.name })),
+        source: 'api',
+        fetchedAt: new Date().toISOString()
+      },
+      teamDetails
+    };
+  }
+
+  // Re-fetch captured competitions older than the configured age (needs an API token).
+  // Events that have already ended are left alone, since their registrations no longer change.
+  let refreshingCaptures = false;
+  async function refreshStaleCaptures() {
+    if (refreshingCaptures) return;
+    refreshingCaptures = true;
+
+    try {
+      const stored = await chrome.storage.local.get(['apiToken', 'autoRefreshHours', 'competitionTeams']);
+      const maxAgeHours = stored.autoRefreshHours ?? CONFIG.defaultAutoRefreshHours;
+      if (!stored.apiToken || !maxAgeHours) return;
+
+      const now = Date.now();
+      const stale = Object.entries(stored.competitionTeams || {})
+        .filter(([, comp]) => now - (Date.parse(comp.fetchedAt) || 0) > maxAgeHours * HOUR)
+        .filter(([, comp]) => !comp.end || Date.parse(comp.end) + 24 * HOUR > now)
+        .map(([sku]) => sku);
+      debug('Stale captures:', stale);
+
+      for (const sku of stale) {
+        try {
+          const { capture } = await fetchCompetition(sku, true, { priority: 'low' });
+          // Read again so edits made while fetching are kept
+          const { competitionTeams = {} } = await chrome.storage.local.get('competitionTeams');
+          if (!competitionTeams[sku]) continue; // Removed meanwhile
+          competitionTeams[sku] = mergeCaptureHistory(competitionTeams[sku], capture);
+          await chrome.storage.local.set({ competitionTeams });
+          debug('Refreshed capture', sku, `(${capture.teams.length} teams)`);
+        } catch (err) {
+          error('Failed to refresh capture:', sku, err);
+        }
+      }
+    } finally {
+      refreshingCaptures = false;
+    }
+  }
+
+  // Creating the alarm again on every service worker start would restart its countdown
+  chrome.alarms.get(CONFIG.refreshAlarm).then(alarm => {
+    if (!alarm) {
+      chrome.alarms.create(CONFIG.refreshAlarm, { delayInMinutes: 1, periodInMinutes: CONFIG.refreshCheckMinutes });
+    }
+  });
+
+  chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === CONFIG.refreshAlarm) refreshStaleCaptures();
+  });
+
+  // Serve one API request from a content script over a port. The script posts
+  // { url, paginated, force, priority, tag }; a single response comes back as 'response',
+  // a paginated one as 'page' messages followed by 'done' or 'error'.
+  // Closing the port (or leaving the page) aborts the request, queued or in flight.
+  chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'api') return;
+
+    const controller = new AbortController();
+    port.onDisconnect.addListener(() => controller.abort());
+
+    port.onMessage.addListener(async (message) => {
+      const schedule = {
+        priority: message.priority,
+        tag: message.tag,
+        owner: port.sender?.tab?.id ?? null,
+        signal: controller.signal
+      };
+
+      try {
+        if (message.paginated) {
+          for await (const page of apiGetPages(message.url, message.force, schedule)) {
+            if (controller.signal.aborted) return;
+            port.postMessage({ type: 'page', ...page });
+          }
+          if (!controller.signal.aborted) port.postMessage({ type: 'done' });
+        } else {
+          const response = await apiGet(message.url, message.force, schedule);
+          if (!controller.signal.aborted) port.postMessage({ type: 'response', ...response });
+        }
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        if (!err.status) error('API request failed:', message.url, err);
+        port.postMessage({ type: 'error', status: err.status || 0 });
+      }
+    });
+  });
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    switch (message?.type) {
+      case 'open-options':
+        chrome.runtime.openOptionsPage();
+        return false;
+
+      case 'load-competition':
+        fetchCompetition(message.sku, message.force, { priority: 'high', owner: sender.tab?.id ?? null })
+          .then(result => sendResponse({ ok: true, ...result }))
+          .catch(err => {
+            if (!err.status) error('Failed to load competition:', message.sku, err);
+            sendResponse({ ok: false, status: err.status || 0 });
+          });
+        return true; // Respond asynchronously
+
+      case 'api-prioritize':
+        prioritize(sender.tab?.id ?? null, message.tag);
+        return false;
+
+      case 'cache-clear':
+        cacheClear()
+          .then(() => sendResponse({ ok: true }))
+          .catch(err => sendResponse({ ok: false, error: err.message }));
+        return true;
+
+      default:
+        return false;
+    }
+  });
+})();
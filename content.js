@@ -1,33 +1,157 @@
-// VIQRC Enhanced - Skills Standings
+// VIQRC Enhanced - Skills Standings (VIQRC, V5RC and VEX U)
 (function() {
   'use strict';
 
   // Configuration
   const CONFIG = {
     name: 'VIQRC Enhanced',
-    storageKey: 'vex-skills-enhancer-settings',
-    eventBaseUrl: 'https://www.robotevents.com/robot-competitions/vex-iq-competition/',
-    apiUrl: 'https://www.robotevents.com/api/seasons/196/skills',
+    legacyStorageKey: 'vex-skills-enhancer-settings',  // Page localStorage key used by older versions
+    siteBaseUrl: 'https://www.robotevents.com',
+    apiBaseUrl: 'https://www.robotevents.com/api',
+    virtualOverscan: 20,      // Table rows rendered above and below the visible ones
+    defaultRowHeight: 41,     // Row height (px) to assume until one has been measured
     debug: false  // Set to true for verbose logging
   };
 
+  // Programs we enhance, keyed by the slug RobotEvents uses in its URLs
+  const PROGRAMS = {
+    'vex-iq-competition': {
+      id: 41,
+      code: 'VIQRC',
+      defaultSeasonId: 196,   // Used until the current season is known (or when there is no API token)
+      gradeLevels: ['Elementary', 'Middle School'],
+      teamPattern: '\\d{1,5}[A-Z]'
+    },
+    'vex-robotics-competition': {
+      id: 1,
+      code: 'V5RC',
+      defaultSeasonId: 197,
+      gradeLevels: ['Middle School', 'High School'],
+      teamPattern: '\\d{1,5}[A-Z]'
+    },
+    'college-competition': {
+      id: 4,
+      code: 'VURC',
+      defaultSeasonId: 198,
+      gradeLevels: ['College'],
+      teamPattern: '[A-Z]{2,6}\\d{0,2}'
+    }
+  };
+
+  // Determine the program from the current page URL (defaults to VIQRC)
+  function detectProgram() {
+    const match = window.location.pathname.match(/\/robot-competitions\/([^/]+)\//);
+    const slug = match && PROGRAMS[match[1]] ? match[1] : 'vex-iq-competition';
+    return { slug, ...PROGRAMS[slug] };
+  }
+
+  const program = detectProgram();
+  const teamNumberRegex = new RegExp(`^(${program.teamPattern})$`, 'i');
+
   // Logging utilities
   const log = (...args) => console.log(`${CONFIG.name} -`, ...args);
   const debug = (...args) => CONFIG.debug && console.log(`${CONFIG.name} [DEBUG] -`, ...args);
   const error = (...args) => console.error(`${CONFIG.name} -`, ...args);
 
+  // Helpers shared with the other page script (shared.js)
+  const { DEFAULT_HIGHLIGHT_GROUP, escapeHtml, getRowHighlight, badgeTextColor, buildGroupBadges, migrateHighlightedTeams,
+    TEAM_QUERY_FIELDS, teamQueryText, renderQueryError, csvField, downloadFile,
+    mergeCaptureHistory, summarizeRegistrationChange, getCaptureChange } = vexShared;
+
+  // Enabled highlight groups for each team number
+  const getGroupMembership = () => vexShared.getGroupMembership(settings.highlightGroups);
+
+  // Colours offered for new highlight groups
+  const GROUP_COLORS = ['#ffc107', '#2196f3', '#e91e63', '#9c27b0', '#ff5722', '#009688', '#795548'];
+
   // State
   let settings = {
-    highlightedTeams: [],
+    highlightGroups: [{ ...DEFAULT_HIGHLIGHT_GROUP }],  // Named groups of highlighted teams, each with its own colour
     competitionTeams: {},
     useCustomTable: true,
-    onlyShowCompetitionTeams: false
+    onlyShowCompetitionTeams: false,
+    selectedCompetitions: {}, // Program code -> competition ID the filter and highlights are limited to (missing = all)
+    savedQueries: {},         // Page type ('skills' or 'event') -> saved search queries: [{ name, query }]
+    tableColumns: null,       // Custom table column keys in display order (null = DEFAULT_COLUMNS)
+    seasonIds: {}           // Program code -> selected season ID (missing = follow the current season)
   };
 
   let gradeData = null;    // All data for selected grade level (global)
   let filteredData = null; // Data after applying client-side filters
-  let sortColumn = 'score'; // Current sort column
-  let sortDirection = 'desc'; // 'asc' or 'desc'
+  let sortKeys = [{ key: 'score', direction: 'desc' }]; // Sort columns in priority order (shift-click adds more)
+  let columnChooserOpen = false; // Whether the column chooser stays open across table rebuilds
+  let tableRows = [];      // filteredData rows matching the search, in table order (what the table body shows)
+  let tableContext = null; // Lookups shared by the table's cells (percentiles, highlights), built with the table
+  let rowHeight = 0;       // Measured height of one table row
+  let renderedRange = null; // [start, end) of tableRows currently in the table body
+  let dataAsOf = null;     // When the skills data was fetched (ms timestamp)
+  let seasons = [];        // Seasons for the program, newest first
+  let currentSeasonId = program.defaultSeasonId;
+  let tableSearch = '';    // Current custom table search text (kept across rebuilds)
+  let compiledSearch = { text: '', test: () => true, error: null }; // tableSearch compiled by query.js
+  let toastTimer = null;
+  let pageController = new AbortController();  // Cancels all requests when the user leaves the page
+  let skillsController = null;                 // Cancels a skills fetch that a newer one replaces
+
+  // Pick the current season: the newest one that has started and not yet ended
+  function findCurrentSeason(seasonList) {
+    const now = new Date();
+    return seasonList.find(s => new Date(s.start) <= now && (!s.end || now <= new Date(s.end))) ||
+           seasonList.find(s => new Date(s.start) <= now) ||
+           seasonList[0] ||
+           null;
+  }
+
+  // Season to show data for (user selection, or the current season)
+  function getSeasonId() {
+    return settings.seasonIds?.[program.code] || currentSeasonId;
+  }
+
+  // Fetch the program's seasons from the RobotEvents API (requires an API token)
+  async function fetchSeasons() {
+    if (!settings.apiToken) {
+      debug('No API token configured, using default season', program.defaultSeasonId);
+      return;
+    }
+
+    try {
+      const url = `${CONFIG.apiBaseUrl}/v2/seasons?program[]=${program.id}`;
+      const response = await apiGetAll(url);
+      if (!response.ok) {
+        throw new Error(`API returned ${response.status}`);
+      }
+
+      seasons = response.data
+        .map(season => ({ id: season.id, name: season.name, start: season.start, end: season.end }))
+        .sort((a, b) => new Date(b.start) - new Date(a.start));
+
+      currentSeasonId = findCurrentSeason(seasons)?.id || program.defaultSeasonId;
+      debug('Loaded', seasons.length, 'seasons, current season:', currentSeasonId);
+    } catch (err) {
+      error('Failed to fetch seasons:', err);
+    }
+  }
+
+  // Fill the season picker with the known seasons
+  function updateSeasonSelect() {
+    const select = document.getElementById('vex-season-select');
+    if (!select) return;
+
+    const current = seasons.find(s => s.id === currentSeasonId);
+    const options = [`<option value="">Current season${current ? ` (${current.name})` : ''}</option>`];
+    seasons.forEach(season => {
+      options.push(`<option value="${season.id}">${season.name}</option>`);
+    });
+
+    // Keep a past selection visible even if the season list could not be loaded
+    const selectedId = settings.seasonIds?.[program.code];
+    if (selectedId && !seasons.some(s => s.id === selectedId)) {
+      options.push(`<option value="${selectedId}">Season ${selectedId}</option>`);
+    }
+
+    select.innerHTML = options.join('');
+    select.value = selectedId ? String(selectedId) : '';
+  }
 
   // Build API URL (only post_season and grade_level are server-side params)
   function buildApiUrl() {
@@ -43,7 +167,7 @@
       params.push(`grade_level=${encodeURIComponent(gradeLevelSelect.value)}`);
     }
 
-    const url = `${CONFIG.apiUrl}?${params.join('&')}`;
+    const url = `${CONFIG.apiBaseUrl}/seasons/${getSeasonId()}/skills?${params.join('&')}`;
     debug('API URL:', url);
     return url;
   }
@@ -147,19 +271,90 @@
     });
   }
 
+  // Send one API request to the background worker, which caches responses, adds the API token
+  // and runs every request through a shared rate-limited queue. Each request gets its own port:
+  // aborting `signal` closes it, which cancels the request in the worker.
+  // For paginated requests onPage(items, page, lastPage) is called as each page arrives.
+  // Resolves to { ok, status, data } (plus aborted: true when cancelled).
+  function apiRequest(url, { paginated = false, force = false, priority = 'normal', signal = pageController.signal, onPage } = {}) {
+    return new Promise(resolve => {
+      const items = [];
+      if (signal.aborted) {
+        resolve({ ok: false, status: 0, aborted: true, data: items });
+        return;
+      }
+
+      const port = chrome.runtime.connect({ name: 'api' });
+
+      const finish = (result) => {
+        signal.removeEventListener('abort', onAbort);
+        port.disconnect();
+        resolve(result);
+      };
+      const onAbort = () => finish({ ok: false, status: 0, aborted: true, data: items });
+      signal.addEventListener('abort', onAbort);
+
+      port.onMessage.addListener(message => {
+        if (message.type === 'page') {
+          items.push(...message.items);
+          if (onPage) onPage(message.items, message.page, message.lastPage);
+        } else if (message.type === 'done') {
+          finish({ ok: true, status: 200, data: items });
+        } else if (message.type === 'response') {
+          const { type, ...response } = message;
+          finish(response);
+        } else if (message.type === 'error') {
+          finish({ ok: false, status: message.status, data: items });
+        }
+      });
+      port.onDisconnect.addListener(() => finish({ ok: false, status: 0, data: items }));
+
+      port.postMessage({ url, paginated, force, priority });
+    });
+  }
+
+  // Fetch JSON for a single URL
+  const apiGet = (url, options) => apiRequest(url, options);
+
+  // Fetch every page of a v2 list endpoint
+  const apiGetAll = (url, options) => apiRequest(url, { ...options, paginated: true });
+
+  // Show when the displayed data was fetched
+  function updateDataStatus() {
+    const status = document.getElementById('vex-data-time');
+    if (!status) return;
+    status.textContent = dataAsOf
+      ? `Data as of ${new Date(dataAsOf).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}`
+      : '';
+  }
+
   // Fetch all skills data from the RobotEvents API
-  async function fetchAllSkillsData() {
+  async function fetchAllSkillsData({ force = false } = {}) {
+    // Only the latest request matters (e.g. after the grade level or season changes again)
+    skillsController?.abort();
+    const controller = skillsController = new AbortController();
+    // Leaving the page cancels it too (combined by hand: AbortSignal.any needs Chrome 116)
+    if (pageController.signal.aborted) controller.abort();
+    pageController.signal.addEventListener('abort', () => controller.abort(), { once: true, signal: controller.signal });
+    const signal = controller.signal;
+
     try {
       const url = buildApiUrl();
       debug('Fetching skills data from:', url);
 
-      const response = await fetch(url);
+      const response = await apiGet(url, { force, priority: 'high', signal });
+      if (response.aborted) {
+        debug('Skills fetch cancelled:', url);
+        return;
+      }
       if (!response.ok) {
         throw new Error(`API returned ${response.status}`);
       }
 
-      const data = await response.json();
-      debug('Received', data.length, 'teams from API');
+      const data = response.data;
+      debug('Received', data.length, 'teams from API', response.cached ? '(cached)' : '');
+      dataAsOf = response.fetchedAt;
+      updateDataStatus();
 
       // Parse and store grade-level data
       gradeData = parseApiData(data);
@@ -226,27 +421,52 @@
 
     filteredData = applyFilters(gradeData);
     rankData(filteredData);
+    sortData(filteredData);
     debug('Filtered to', filteredData.length, 'of', gradeData.length, 'teams');
 
     buildCustomTable();
     updateStats();
   }
 
-  // Get competition teams
+  // Get competitions captured for this page's program (older captures have no program and are VIQRC)
+  function getProgramCompetitions() {
+    return Object.entries(settings.competitionTeams)
+      .filter(([, comp]) => (comp.program || 'VIQRC') === program.code);
+  }
+
+  // Competition selected in the panel, or '' for every captured competition
+  function getSelectedCompetitionId() {
+    const id = settings.selectedCompetitions?.[program.code];
+    return id && settings.competitionTeams[id] ? id : '';
+  }
+
+  // Get competition teams (of the selected competition, or of all of them)
   function getCompetitionTeams() {
+    const selected = getSelectedCompetitionId();
     const teams = new Set();
-    Object.values(settings.competitionTeams).forEach(comp => {
-      if (comp.teams) {
+    getProgramCompetitions().forEach(([id, comp]) => {
+      if (comp.teams && (!selected || id === selected)) {
         comp.teams.forEach(team => teams.add(team.toUpperCase()));
       }
     });
     return teams;
   }
 
-  // Calculate percentile for a score
-  function getPercentile(score, allScores) {
-    const below = allScores.filter(s => s < score).length;
-    return Math.round((below / allScores.length) * 100);
+  // Percentile lookup for a set of scores: sorts once, then each lookup is a binary search
+  // for the number of scores below the given one
+  function createPercentileIndex(scores) {
+    const sorted = Float64Array.from(scores).sort();
+    return (score) => {
+      if (sorted.length === 0) return 0;
+      let low = 0;
+      let high = sorted.length;
+      while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (sorted[mid] < score) low = mid + 1;
+        else high = mid;
+      }
+      return Math.round((low / sorted.length) * 100);
+    };
   }
 
   // Toggle between custom and original table views
@@ -276,33 +496,37 @@
     if (!table) return;
 
     const competitionTeams = getCompetitionTeams();
-    const manualTeams = new Set(settings.highlightedTeams.map(t => t.toUpperCase()));
+    const groupMembership = getGroupMembership();
 
     const rows = table.querySelectorAll('tbody tr');
     rows.forEach(row => {
       // Remove old highlights
-      row.classList.remove('vex-competition-row', 'vex-highlighted-row');
+      row.classList.remove('vex-competition-row', 'vex-group-row');
+      row.style.removeProperty('--vex-group-color');
+      row.querySelectorAll('.vex-group-badges').forEach(badges => badges.remove());
 
       // Find team number in this row
       const cells = row.querySelectorAll('td');
       let teamNum = '';
+      let teamCell = null;
       cells.forEach(cell => {
         const text = cell.textContent?.trim() || '';
-        const match = text.match(/^(\d{2,5}[A-Z])$/i);
+        const match = text.match(teamNumberRegex);
         if (match && !teamNum) {
           teamNum = match[1].toUpperCase();
+          teamCell = cell;
         }
       });
 
       if (teamNum) {
         const isCompetition = competitionTeams.has(teamNum);
-        const isManual = manualTeams.has(teamNum);
+        const groups = groupMembership.get(teamNum) || [];
+        const highlight = getRowHighlight(groups, isCompetition);
 
-        // Manual highlight takes priority over competition highlight
-        if (isManual) {
-          row.classList.add('vex-highlighted-row');
-        } else if (isCompetition) {
-          row.classList.add('vex-competition-row');
+        if (highlight.className) row.classList.add(highlight.className);
+        if (groups.length > 0) {
+          row.style.setProperty('--vex-group-color', groups[0].color);
+          teamCell.insertAdjacentHTML('beforeend', buildGroupBadges(groups, isCompetition));
         }
       }
     });
@@ -348,128 +572,213 @@
       }
     }
 
-    const filteredScores = filteredData.map(d => d.score);
-    const globalScores = gradeData.map(d => d.score);
-    const maxScore = Math.max(...filteredScores, 1); // Avoid division by zero
-    const competitionTeams = getCompetitionTeams();
-    const manualTeams = new Set(settings.highlightedTeams.map(t => t.toUpperCase()));
+    // Clicks, typing and scrolling are handled once for the container, whatever it currently holds
+    if (!container.dataset.listeners) {
+      setupTableListeners(container);
+      container.dataset.listeners = 'true';
+    }
 
-    // Helper for sort indicator
-    const sortIndicator = (col) => {
-      if (sortColumn !== col) return '<span class="vex-sort-icon">⇅</span>';
-      return sortDirection === 'desc' ? '<span class="vex-sort-icon active">↓</span>' : '<span class="vex-sort-icon active">↑</span>';
+    const filteredScores = filteredData.map(d => d.score);
+    tableContext = {
+      filteredPercentile: createPercentileIndex(filteredScores),
+      globalPercentile: createPercentileIndex(gradeData.map(d => d.score)),
+      maxScore: filteredScores.reduce((max, score) => Math.max(max, score), 1), // Avoid division by zero
+      competitionTeams: getCompetitionTeams(),
+      groupMembership: getGroupMembership()
     };
+    rowHeight = 0; // Measured again, since the columns may have changed
 
-    // Build table HTML
-    let html = `
+    container.innerHTML = `
       <div class="vex-table-controls">
-        <input type="text" id="vex-table-search" placeholder="Search by team number or name..." />
+        <div class="vex-query-box">
+          <input type="text" id="vex-table-search" placeholder='Search or filter, e.g. score>=150 region:"California"' value="${escapeHtml(tableSearch)}" title="${escapeHtml(vexQuery.describeFields(QUERY_SCHEMA))}" />
+          <div id="vex-table-search-error" class="vex-query-error"></div>
+        </div>
+        <div class="vex-saved-query-controls">
+          <select id="vex-saved-queries" title="Saved queries"></select>
+          <button id="vex-save-query" title="Save the current query">Save</button>
+          <button id="vex-delete-query" title="Delete the selected saved query">Delete</button>
+        </div>
+        <div class="vex-column-chooser-wrap">
+          <button id="vex-column-chooser-toggle" title="Show, hide and reorder columns">Columns</button>
+          <div id="vex-column-chooser" style="${columnChooserOpen ? '' : 'display: none;'}">${buildColumnChooser()}</div>
+        </div>
         <span class="vex-table-count">${filteredData.length} of ${gradeData.length} teams</span>
       </div>
-      <table class="vex-custom-table">
-        <thead>
-          <tr>
-            <th>Rank</th>
-            <th>Team</th>
-            <th>Team Name</th>
-            <th>Organization</th>
-            <th class="vex-sortable" data-sort="score">Score ${sortIndicator('score')}</th>
-            <th class="vex-sortable" data-sort="programming">Autonomous ${sortIndicator('programming')}</th>
-            <th class="vex-sortable" data-sort="driver">Driver ${sortIndicator('driver')}</th>
-            <th>Percentile</th>
-            <th>Global %</th>
-          </tr>
-        </thead>
-        <tbody>
+      <div class="vex-table-scroll">
+        <table class="vex-custom-table">
+          <thead>${buildTableHeader()}</thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    `;
+
+    updateTableRows();
+    debug('Custom table built with', filteredData.length, 'rows');
+  }
+
+  // Header row; sort indicators are numbered when sorting by more than one column
+  function buildTableHeader() {
+    const sortIndicator = (key) => {
+      const index = sortKeys.findIndex(sort => sort.key === key);
+      if (index === -1) return '<span class="vex-sort-icon">⇅</span>';
+      const arrow = sortKeys[index].direction === 'desc' ? '↓' : '↑';
+      return `<span class="vex-sort-icon active">${arrow}${sortKeys.length > 1 ? `<sup>${index + 1}</sup>` : ''}</span>`;
+    };
+
+    return `
+      <tr>
+        ${getVisibleColumns().map(column => `<th class="vex-sortable" data-sort="${column.key}" title="Click to sort, shift-click to add a secondary sort">${column.label} ${sortIndicator(column.key)}</th>`).join('')}
+      </tr>
+    `;
+  }
+
+  // One table row; data-idx is the row's index in tableRows
+  function renderTableRow(item, idx, columns) {
+    const highlight = getRowHighlight(tableContext.groupMembership.get(item.team) || [], tableContext.competitionTeams.has(item.team));
+    return `
+      <tr class="${highlight.className}" style="${highlight.style}" data-team="${item.team}" data-idx="${idx}">
+        ${columns.map(column => `<td${column.className ? ` class="${column.className}"` : ''}>${renderColumn(column, item, tableContext)}</td>`).join('')}
+      </tr>
     `;
+  }
+
+  // Apply the search query to filteredData and show the result from the top
+  function updateTableRows() {
+    const container = document.getElementById('vex-custom-table-container');
+    if (!container || !filteredData) return;
+
+    const query = getTableQuery();
+    const searching = !!tableSearch.trim();
+    if (searching) {
+      const context = getQueryContext();
+      tableRows = filteredData.filter(item => query.test(item, context));
+    } else {
+      tableRows = filteredData;
+    }
 
-    filteredData.forEach(item => {
-      const isCompetition = competitionTeams.has(item.team);
-      const isManual = manualTeams.has(item.team);
-      let rowClass = '';
-      // Manual highlight takes priority over competition highlight
-      if (isManual) rowClass = 'vex-highlighted-row';
-      else if (isCompetition) rowClass = 'vex-competition-row';
-
-      const percentile = getPercentile(item.score, filteredScores);
-      const globalPercentile = getPercentile(item.score, globalScores);
-      const barWidth = (item.score / maxScore) * 100;
-
-      let barClass = 'vex-bar-low';
-      if (barWidth >= 90) barClass = 'vex-bar-top';
-      else if (barWidth >= 70) barClass = 'vex-bar-high';
-      else if (barWidth >= 50) barClass = 'vex-bar-mid';
-
-      const searchText = `${item.team} ${item.teamName} ${item.organization}`.toLowerCase();
-
-      html += `
-        <tr class="${rowClass}" data-team="${item.team}" data-search="${searchText}">
-          <td>${item.rank}</td>
-          <td class="vex-team-number">${item.team}</td>
-          <td>${item.teamName}</td>
-          <td>${item.organization}</td>
-          <td class="vex-score-cell">
-            ${item.score}
-            <div class="vex-score-bar ${barClass}" style="width: ${barWidth}%"></div>
-          </td>
-          <td>${item.programming}</td>
-          <td>${item.driver}</td>
-          <td class="vex-percentile-cell">${percentile}%</td>
-          <td class="vex-percentile-cell">${globalPercentile}%</td>
-        </tr>
-      `;
+    const countSpan = container.querySelector('.vex-table-count');
+    if (countSpan) {
+      countSpan.textContent = searching ? `${tableRows.length} of ${filteredData.length} teams` : `${filteredData.length} of ${gradeData.length} teams`;
+    }
+    document.getElementById('vex-table-search')?.classList.toggle('vex-query-invalid', !!query.error);
+    renderQueryError(document.getElementById('vex-table-search-error'), tableSearch, query.error);
+    updateSavedQueryControls();
+
+    const scroller = container.querySelector('.vex-table-scroll');
+    if (scroller) scroller.scrollTop = 0;
+    renderedRange = null;
+    renderVisibleRows();
+  }
+
+  // Render only the rows in (and just around) the scrolled view. Spacer rows stand in for the rest,
+  // so the scrollbar still reflects the whole list. Rows are kept to one line, so all have the same height.
+  function renderVisibleRows() {
+    const scroller = document.querySelector('#vex-custom-table-container .vex-table-scroll');
+    const tbody = scroller?.querySelector('tbody');
+    if (!tbody || !tableContext) return;
+
+    const columns = getVisibleColumns();
+    if (!rowHeight && tableRows.length > 0) {
+      tbody.innerHTML = renderTableRow(tableRows[0], 0, columns);
+      rowHeight = tbody.firstElementChild.getBoundingClientRect().height;
+    }
+    const height = rowHeight || CONFIG.defaultRowHeight;
+
+    const start = Math.max(0, Math.floor(scroller.scrollTop / height) - CONFIG.virtualOverscan);
+    const end = Math.min(tableRows.length, Math.ceil((scroller.scrollTop + scroller.clientHeight) / height) + CONFIG.virtualOverscan);
+    if (renderedRange && renderedRange[0] === start && renderedRange[1] === end) return;
+    renderedRange = [start, end];
+
+    const spacer = (rows) => rows > 0
+      ? `<tr class="vex-spacer-row" style="height: ${rows * height}px;"><td colspan="${columns.length}"></td></tr>`
+      : '';
+    tbody.innerHTML = spacer(start) +
+      tableRows.slice(start, end).map((item, i) => renderTableRow(item, start + i, columns)).join('') +
+      spacer(tableRows.length - end);
+  }
+
+  // Listeners for everything inside the table container (delegated, so rebuilds need no new ones)
+  function setupTableListeners(container) {
+    container.addEventListener('click', (e) => {
+      const header = e.target.closest('th.vex-sortable');
+      if (header) {
+        updateSort(header.dataset.sort, e.shiftKey);
+        sortAndRefreshRows();
+        return;
+      }
+
+      if (e.target.closest('#vex-column-chooser-toggle')) {
+        columnChooserOpen = !columnChooserOpen;
+        document.getElementById('vex-column-chooser').style.display = columnChooserOpen ? '' : 'none';
+        return;
+      }
+      const moveButton = e.target.closest('#vex-column-chooser button[data-move]');
+      if (moveButton) {
+        moveColumn(moveButton.closest('li').dataset.key, parseInt(moveButton.dataset.move, 10));
+        return;
+      }
+      if (e.target.closest('#vex-reset-columns')) {
+        setTableColumns(null);
+        return;
+      }
+
+      if (e.target.closest('#vex-save-query')) {
+        saveCurrentQuery();
+        return;
+      }
+      if (e.target.closest('#vex-delete-query')) {
+        setSavedQueries(getSavedQueries().filter(saved => saved.query !== tableSearch));
+        return;
+      }
+
+      // Team details modal
+      const row = e.target.closest('tbody tr[data-idx]');
+      if (row && tableRows[row.dataset.idx]) {
+        showTeamModal(tableRows[row.dataset.idx]);
+      }
     });
 
-    html += '</tbody></table>';
-    container.innerHTML = html;
-
-    // Setup search
-    const searchInput = document.getElementById('vex-table-search');
-    searchInput?.addEventListener('input', (e) => {
-      const filter = e.target.value.toLowerCase().trim();
-      const rows = container.querySelectorAll('tbody tr');
-      let visibleCount = 0;
-      rows.forEach(row => {
-        const searchText = row.dataset.search || '';
-        const matches = !filter || searchText.includes(filter);
-        row.style.display = matches ? '' : 'none';
-        if (matches) visibleCount++;
-      });
-      const countSpan = container.querySelector('.vex-table-count');
-      if (countSpan) {
-        countSpan.textContent = filter ? `${visibleCount} of ${filteredData.length} teams` : `${filteredData.length} of ${gradeData.length} teams`;
+    container.addEventListener('input', (e) => {
+      if (e.target.id === 'vex-table-search') {
+        tableSearch = e.target.value;
+        updateTableRows();
       }
     });
 
-    // Setup sortable column headers
-    container.querySelectorAll('.vex-sortable').forEach(th => {
-      th.addEventListener('click', () => {
-        const col = th.dataset.sort;
-        if (sortColumn === col) {
-          // Toggle direction
-          sortDirection = sortDirection === 'desc' ? 'asc' : 'desc';
-        } else {
-          // New column, default to descending
-          sortColumn = col;
-          sortDirection = 'desc';
-        }
-        sortAndRebuildTable();
-      });
+    container.addEventListener('change', (e) => {
+      if (e.target.id === 'vex-saved-queries') {
+        const saved = getSavedQueries()[e.target.value];
+        if (!saved) return;
+        tableSearch = saved.query;
+        document.getElementById('vex-table-search').value = saved.query;
+        updateTableRows();
+        return;
+      }
+      const columnItem = e.target.closest('#vex-column-chooser li');
+      if (columnItem && e.target.type === 'checkbox') {
+        toggleColumn(columnItem.dataset.key, e.target.checked);
+      }
     });
 
-    // Setup row click handlers for team details modal
-    container.querySelectorAll('tbody tr').forEach(row => {
-      row.style.cursor = 'pointer';
-      row.addEventListener('click', () => {
-        const teamNum = row.dataset.team;
-        const teamData = filteredData.find(t => t.team === teamNum);
-        if (teamData) {
-          showTeamModal(teamData);
-        }
+    // Scroll events don't bubble, so the container listens in the capture phase; one render per frame
+    let scrollFrame = null;
+    container.addEventListener('scroll', () => {
+      if (scrollFrame) return;
+      scrollFrame = requestAnimationFrame(() => {
+        scrollFrame = null;
+        renderVisibleRows();
       });
-    });
+    }, true);
+  }
 
-    debug('Custom table built with', filteredData.length, 'rows');
+  // Save the query in the search box under a name
+  function saveCurrentQuery() {
+    if (!tableSearch.trim() || getTableQuery().error) return;
+    const existing = getSavedQueries().find(saved => saved.query === tableSearch);
+    const name = prompt('Name for this query:', existing?.name || tableSearch)?.trim();
+    if (!name) return;
+    setSavedQueries([...getSavedQueries().filter(saved => saved.name !== name && saved.query !== tableSearch), { name, query: tableSearch }]);
   }
 
   // Show team details modal
@@ -480,12 +789,10 @@
 
     const competitionTeams = getCompetitionTeams();
     const isCompetition = competitionTeams.has(team.team);
-    const isHighlighted = settings.highlightedTeams.map(t => t.toUpperCase()).includes(team.team);
+    const groups = getGroupMembership().get(team.team) || [];
 
-    const globalScores = gradeData.map(d => d.score);
-    const filteredScores = filteredData.map(d => d.score);
-    const globalPercentile = getPercentile(team.score, globalScores);
-    const filteredPercentile = getPercentile(team.score, filteredScores);
+    const globalPercentile = createPercentileIndex(gradeData.map(d => d.score))(team.score);
+    const filteredPercentile = createPercentileIndex(filteredData.map(d => d.score))(team.score);
 
     // Find global rank
     const sortedGlobal = [...gradeData].sort((a, b) => b.score - a.score);
@@ -497,7 +804,7 @@
     modal.innerHTML = `
       <div class="vex-modal">
         <div class="vex-modal-header">
-          <h2><a href="https://www.robotevents.com/teams/VIQRC/${team.team}" target="_blank">${team.team} - ${team.teamName}</a></h2>
+          <h2><a href="${CONFIG.siteBaseUrl}/teams/${program.code}/${team.team}" target="_blank">${team.team} - ${team.teamName}</a></h2>
           <button class="vex-modal-close">&times;</button>
         </div>
         <div class="vex-modal-body">
@@ -583,9 +890,9 @@
             <h3>Status</h3>
             <div class="vex-modal-tags">
               ${isCompetition ? '<span class="vex-modal-tag vex-tag-competition">In Loaded Competition</span>' : ''}
-              ${isHighlighted ? '<span class="vex-modal-tag vex-tag-highlighted">Highlighted</span>' : ''}
+              ${groups.map(group => `<span class="vex-modal-tag" style="background: ${group.color}; color: ${badgeTextColor(group.color)};">${escapeHtml(group.name)}</span>`).join('')}
               ${team.eligible ? '<span class="vex-modal-tag vex-tag-eligible">Eligible</span>' : ''}
-              ${!isCompetition && !isHighlighted && !team.eligible ? '<span class="vex-modal-tag">No special status</span>' : ''}
+              ${!isCompetition && groups.length === 0 && !team.eligible ? '<span class="vex-modal-tag">No special status</span>' : ''}
             </div>
           </div>
         </div>
@@ -607,24 +914,178 @@
     });
   }
 
-  // Sort filtered data and rebuild table
-  function sortAndRebuildTable() {
+  // Score bar colour by the score's share of the highest score
+  function scoreBarClass(barWidth) {
+    if (barWidth >= 90) return 'vex-bar-top';
+    if (barWidth >= 70) return 'vex-bar-high';
+    if (barWidth >= 50) return 'vex-bar-mid';
+    return 'vex-bar-low';
+  }
+
+  // Columns the custom table can show. value() is what sorting compares; render() is the cell
+  // contents (text columns without one are escaped as is). context comes from buildCustomTable.
+  const TABLE_COLUMNS = [
+    { key: 'rank', label: 'Rank', type: 'number', value: item => item.rank },
+    {
+      key: 'team', label: 'Team', type: 'text', className: 'vex-team-number', value: item => item.team,
+      render: (item, context) => `${item.team}${buildGroupBadges(context.groupMembership.get(item.team) || [], context.competitionTeams.has(item.team))}`
+    },
+    { key: 'teamName', label: 'Team Name', type: 'text', value: item => item.teamName },
+    { key: 'organization', label: 'Organization', type: 'text', value: item => item.organization },
+    {
+      key: 'score', label: 'Score', type: 'number', className: 'vex-score-cell', value: item => item.score,
+      render: (item, context) => {
+        const barWidth = (item.score / context.maxScore) * 100;
+        return `${item.score}<div class="vex-score-bar ${scoreBarClass(barWidth)}" style="width: ${barWidth}%"></div>`;
+      }
+    },
+    { key: 'programming', label: 'Autonomous', type: 'number', value: item => item.programming },
+    { key: 'driver', label: 'Driver', type: 'number', value: item => item.driver },
+    {
+      key: 'percentile', label: 'Percentile', type: 'number', className: 'vex-percentile-cell', value: item => item.score,
+      render: (item, context) => `${context.filteredPercentile(item.score)}%`
+    },
+    {
+      key: 'globalPercentile', label: 'Global %', type: 'number', className: 'vex-percentile-cell', value: item => item.score,
+      render: (item, context) => `${context.globalPercentile(item.score)}%`
+    },
+    { key: 'maxProgramming', label: 'Max Autonomous', type: 'number', value: item => item.maxProgramming },
+    { key: 'maxDriver', label: 'Max Driver', type: 'number', value: item => item.maxDriver },
+    {
+      key: 'apiRank', label: 'World Rank', type: 'number', value: item => item.apiRank || Infinity,
+      render: item => item.apiRank || '-'
+    },
+    { key: 'gradeLevel', label: 'Grade', type: 'text', value: item => item.gradeLevel },
+    { key: 'city', label: 'City', type: 'text', value: item => item.city },
+    { key: 'region', label: 'Region', type: 'text', value: item => item.region },
+    { key: 'country', label: 'Country', type: 'text', value: item => item.country },
+    { key: 'eventRegion', label: 'Event Region', type: 'text', value: item => item.eventRegion },
+    {
+      key: 'eligible', label: 'Eligible', type: 'number', value: item => item.eligible ? 1 : 0,
+      render: item => item.eligible ? '✓' : ''
+    }
+  ];
+
+  const DEFAULT_COLUMNS = ['rank', 'team', 'teamName', 'organization', 'score', 'programming', 'driver', 'percentile', 'globalPercentile'];
+
+  function getColumn(key) {
+    return TABLE_COLUMNS.find(column => column.key === key);
+  }
+
+  // Columns to show, in the user's order (unknown keys from other versions are skipped)
+  function getVisibleColumns() {
+    const columns = (settings.tableColumns || DEFAULT_COLUMNS).map(getColumn).filter(Boolean);
+    return columns.length > 0 ? columns : DEFAULT_COLUMNS.map(getColumn);
+  }
+
+  function renderColumn(column, item, context) {
+    if (column.render) return column.render(item, context);
+    const value = column.value(item);
+    return column.type === 'text' ? escapeHtml(value || '') : value;
+  }
+
+  // Click sorts by the column alone (again to reverse); shift-click adds it as the next sort key
+  // (again to reverse). Text and rank columns start ascending, numbers descending.
+  function updateSort(key, addKey) {
+    const column = getColumn(key);
+    if (!column) return;
+
+    const existing = sortKeys.find(sort => sort.key === key);
+    const flip = (direction) => direction === 'desc' ? 'asc' : 'desc';
+    const initialDirection = column.type === 'text' || key === 'rank' ? 'asc' : 'desc';
+
+    if (addKey) {
+      if (existing) {
+        existing.direction = flip(existing.direction);
+      } else {
+        sortKeys = [...sortKeys, { key, direction: initialDirection }];
+      }
+    } else {
+      const toggle = existing && sortKeys.length === 1;
+      sortKeys = [{ key, direction: toggle ? flip(existing.direction) : initialDirection }];
+    }
+  }
+
+  // Compare two rows on one column; text ignores case and orders team numbers naturally
+  function compareColumn(column, a, b) {
+    const aVal = column.value(a);
+    const bVal = column.value(b);
+    if (column.type === 'text') {
+      return String(aVal || '').localeCompare(String(bVal || ''), undefined, { numeric: true, sensitivity: 'base' });
+    }
+    return (aVal || 0) - (bVal || 0);
+  }
+
+  // Sort filtered data and redraw the header and rows (the rest of the table stays as it is)
+  function sortAndRefreshRows() {
     if (!filteredData) return;
 
-    filteredData.sort((a, b) => {
-      const aVal = a[sortColumn] || 0;
-      const bVal = b[sortColumn] || 0;
-      return sortDirection === 'desc' ? bVal - aVal : aVal - bVal;
-    });
+    sortData(filteredData);
+    const thead = document.querySelector('#vex-custom-table-container thead');
+    if (thead) thead.innerHTML = buildTableHeader();
+    updateTableRows();
+  }
 
-    // Re-assign ranks based on new sort
-    filteredData.forEach((item, idx) => {
-      item.rank = idx + 1;
+  // Sort data in place by the current sort keys (ties fall through to the next key)
+  function sortData(data) {
+    const keys = sortKeys
+      .map(sort => ({ column: getColumn(sort.key), sign: sort.direction === 'desc' ? -1 : 1 }))
+      .filter(sort => sort.column);
+    return data.sort((a, b) => {
+      for (const { column, sign } of keys) {
+        const result = compareColumn(column, a, b);
+        if (result) return result * sign;
+      }
+      return 0;
     });
+  }
+
+  // Column chooser contents: shown columns in order, then the hidden ones
+  function buildColumnChooser() {
+    const visible = getVisibleColumns().map(column => column.key);
+    const ordered = [...visible, ...TABLE_COLUMNS.map(column => column.key).filter(key => !visible.includes(key))];
+
+    return `
+      <ul>
+        ${ordered.map(key => {
+          const shown = visible.includes(key);
+          const index = visible.indexOf(key);
+          return `
+            <li data-key="${key}">
+              <label><input type="checkbox" ${shown ? 'checked' : ''} ${shown && visible.length === 1 ? 'disabled' : ''}> ${getColumn(key).label}</label>
+              <button data-move="-1" title="Move left" ${!shown || index === 0 ? 'disabled' : ''}>↑</button>
+              <button data-move="1" title="Move right" ${!shown || index === visible.length - 1 ? 'disabled' : ''}>↓</button>
+            </li>
+          `;
+        }).join('')}
+      </ul>
+      <button id="vex-reset-columns">Reset columns</button>
+    `;
+  }
 
+  // Save a new column list and redraw the table (the chooser stays open)
+  function setTableColumns(keys) {
+    settings.tableColumns = keys;
+    saveSettings('tableColumns');
     buildCustomTable();
   }
 
+  // Show or hide a column (shown columns are added at the end)
+  function toggleColumn(key, shown) {
+    const visible = getVisibleColumns().map(column => column.key);
+    setTableColumns(shown ? [...visible, key] : visible.filter(k => k !== key));
+  }
+
+  // Move a shown column one place left (-1) or right (1)
+  function moveColumn(key, offset) {
+    const keys = getVisibleColumns().map(column => column.key);
+    const from = keys.indexOf(key);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= keys.length) return;
+    [keys[from], keys[to]] = [keys[to], keys[from]];
+    setTableColumns(keys);
+  }
+
   // Calculate stats for a dataset
   function calculateStats(data) {
     if (!data || data.length === 0) return null;
@@ -714,6 +1175,339 @@
         ${showFiltered ? `<span class="vex-stat-value vex-stat-global">${globalStats.medianDriver}</span>` : ''}
       </div>
     `;
+
+    updateCharts();
+  }
+
+  // Width and heights (px) of the statistics charts, which fill the panel's width
+  const CHART_WIDTH = 240;
+  const HISTOGRAM_HEIGHT = 110;
+  const SCATTER_HEIGHT = 190;
+  const COMPETITION_MARK_COLOR = '#2e7d32';
+
+  // Teams to mark on the charts: highlighted (in their first group's colour) and competition teams
+  function getMarkedTeams() {
+    const membership = getGroupMembership();
+    const competitionTeams = getCompetitionTeams();
+    return gradeData
+      .filter(item => membership.has(item.team) || competitionTeams.has(item.team))
+      .map(item => ({
+        item,
+        color: membership.get(item.team)?.[0].color || COMPETITION_MARK_COLOR,
+        isCompetition: competitionTeams.has(item.team)
+      }));
+  }
+
+  // Redraw the histogram and scatter plot (skipped while the charts are collapsed)
+  function updateCharts() {
+    const details = document.getElementById('vex-stats-charts');
+    if (!details || !details.open || !gradeData || !filteredData) return;
+
+    const marked = getMarkedTeams();
+    drawHistogram(document.getElementById('vex-histogram'), marked);
+    drawScatter(document.getElementById('vex-scatter'), marked);
+  }
+
+  // SVG histogram of combined scores, as a share of each set so filtered and global bars compare.
+  // Marked teams are ticks under the axis; clicking one opens the team modal.
+  function drawHistogram(container, marked) {
+    if (!container) return;
+
+    const showFiltered = filteredData.length !== gradeData.length;
+    const maxScore = gradeData.reduce((max, item) => Math.max(max, item.score), 1);
+    const binWidth = [1, 2, 5, 10, 20, 25, 50, 100, 200].find(width => maxScore / width <= 24) || Math.ceil(maxScore / 24);
+    const binCount = Math.floor(maxScore / binWidth) + 1;
+
+    const countBins = (data) => {
+      const bins = new Array(binCount).fill(0);
+      data.forEach(item => bins[Math.min(binCount - 1, Math.floor(item.score / binWidth))]++);
+      return bins.map(count => count / (data.length || 1));
+    };
+    const globalBins = countBins(gradeData);
+    const filteredBins = showFiltered ? countBins(filteredData) : null;
+    const tallest = Math.max(...globalBins, ...(filteredBins || [0]));
+
+    const plotHeight = HISTOGRAM_HEIGHT - 30; // Room for the team ticks and axis labels
+    const barWidth = CHART_WIDTH / binCount;
+    const x = (score) => (score / (binCount * binWidth)) * CHART_WIDTH;
+    const bars = (bins, className) => bins.map((share, i) => {
+      const height = (share / tallest) * plotHeight;
+      const from = i * binWidth;
+      return `<rect class="${className}" x="${(i * barWidth + 0.5).toFixed(1)}" y="${(plotHeight - height).toFixed(1)}" width="${Math.max(barWidth - 1, 1).toFixed(1)}" height="${height.toFixed(1)}"><title>${from}–${from + binWidth - 1}: ${(share * 100).toFixed(1)}% of teams</title></rect>`;
+    }).join('');
+
+    const ticks = marked.map(({ item, color }) =>
+      `<line class="vex-chart-mark" data-team="${item.team}" x1="${x(item.score).toFixed(1)}" x2="${x(item.score).toFixed(1)}" y1="${plotHeight + 2}" y2="${plotHeight + 14}" stroke="${color}"><title>${item.team}: ${item.score}</title></line>`
+    ).join('');
+
+    container.innerHTML = `
+      <svg class="vex-histogram" viewBox="0 0 ${CHART_WIDTH} ${HISTOGRAM_HEIGHT}" width="100%">
+        ${bars(globalBins, showFiltered ? 'vex-bar-global' : 'vex-bar-filtered')}
+        ${filteredBins ? bars(filteredBins, 'vex-bar-filtered') : ''}
+        <line class="vex-chart-axis" x1="0" x2="${CHART_WIDTH}" y1="${plotHeight + 0.5}" y2="${plotHeight + 0.5}"></line>
+        ${ticks}
+        <text class="vex-chart-label" x="0" y="${HISTOGRAM_HEIGHT - 2}">0</text>
+        <text class="vex-chart-label" x="${CHART_WIDTH / 2}" y="${HISTOGRAM_HEIGHT - 2}" text-anchor="middle">Score</text>
+        <text class="vex-chart-label" x="${CHART_WIDTH}" y="${HISTOGRAM_HEIGHT - 2}" text-anchor="end">${binCount * binWidth}</text>
+      </svg>
+      <div class="vex-chart-legend">
+        ${showFiltered ? '<span><i class="vex-bar-filtered"></i>Filtered</span><span><i class="vex-bar-global"></i>Global</span>' : '<span><i class="vex-bar-filtered"></i>All teams</span>'}
+      </div>
+    `;
+  }
+
+  // Canvas scatter plot of autonomous against driver scores (a canvas, since there can be 10k+ points).
+  // The drawn points are kept so clicks and hovers can find the nearest team.
+  let scatterPoints = [];
+
+  function drawScatter(canvas, marked) {
+    if (!canvas) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = CHART_WIDTH * ratio;
+    canvas.height = SCATTER_HEIGHT * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+
+    const margin = { left: 26, bottom: 20, top: 6, right: 6 };
+    const plotWidth = CHART_WIDTH - margin.left - margin.right;
+    const plotHeight = SCATTER_HEIGHT - margin.top - margin.bottom;
+    const maxAuto = gradeData.reduce((max, item) => Math.max(max, item.programming), 1);
+    const maxDriver = gradeData.reduce((max, item) => Math.max(max, item.driver), 1);
+    const toPoint = (item) => ({
+      x: margin.left + (item.programming / maxAuto) * plotWidth,
+      y: margin.top + plotHeight - (item.driver / maxDriver) * plotHeight,
+      item
+    });
+
+    // Axes
+    ctx.strokeStyle = '#bbb';
+    ctx.beginPath();
+    ctx.moveTo(margin.left, margin.top);
+    ctx.lineTo(margin.left, margin.top + plotHeight);
+    ctx.lineTo(margin.left + plotWidth, margin.top + plotHeight);
+    ctx.stroke();
+    ctx.fillStyle = '#888';
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText('Auto', margin.left + plotWidth / 2, SCATTER_HEIGHT - 4);
+    ctx.fillText(String(maxAuto), margin.left + plotWidth, SCATTER_HEIGHT - 4);
+    ctx.textAlign = 'right';
+    ctx.fillText(String(maxDriver), margin.left - 3, margin.top + 8);
+    ctx.save();
+    ctx.translate(10, margin.top + plotHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.fillText('Driver', 0, 0);
+    ctx.restore();
+
+    // Global teams first (when filtered), then filtered teams, then marked teams on top
+    const filteredTeams = new Set(filteredData.map(item => item.team));
+    const layers = [];
+    if (filteredData.length !== gradeData.length) {
+      layers.push({ items: gradeData.filter(item => !filteredTeams.has(item.team)), radius: 1.5, fill: 'rgba(0, 0, 0, 0.15)' });
+    }
+    layers.push({ items: filteredData, radius: 1.8, fill: 'rgba(196, 18, 48, 0.45)' });
+
+    scatterPoints = [];
+    layers.forEach(layer => {
+      ctx.fillStyle = layer.fill;
+      layer.items.forEach(item => {
+        const point = toPoint(item);
+        ctx.fillRect(point.x - layer.radius, point.y - layer.radius, layer.radius * 2, layer.radius * 2);
+        scatterPoints.push(point);
+      });
+    });
+    marked.forEach(({ item, color, isCompetition }) => {
+      const point = toPoint(item);
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, 3.5, 0, Math.PI * 2);
+      ctx.fillStyle = color;
+      ctx.fill();
+      ctx.strokeStyle = isCompetition ? COMPETITION_MARK_COLOR : '#fff';
+      ctx.stroke();
+      scatterPoints.push(point);
+    });
+  }
+
+  // Team drawn nearest to a mouse position on the scatter plot (within a few pixels), preferring the top layer
+  function findScatterTeam(canvas, event) {
+    const rect = canvas.getBoundingClientRect();
+    const x = (event.clientX - rect.left) * (CHART_WIDTH / rect.width);
+    const y = (event.clientY - rect.top) * (SCATTER_HEIGHT / rect.height);
+    let nearest = null;
+    let nearestDistance = 36; // 6px, squared
+    for (let i = scatterPoints.length - 1; i >= 0; i--) {
+      const point = scatterPoints[i];
+      const distance = (point.x - x) ** 2 + (point.y - y) ** 2;
+      if (distance < nearestDistance) {
+        nearest = point.item;
+        nearestDistance = distance;
+      }
+    }
+    return nearest;
+  }
+
+  // Chart clicks open the team modal; hovering the scatter plot names the team under the pointer
+  function setupChartListeners() {
+    const details = document.getElementById('vex-stats-charts');
+    details?.addEventListener('toggle', () => updateCharts());
+
+    document.getElementById('vex-histogram')?.addEventListener('click', (e) => {
+      const mark = e.target.closest('.vex-chart-mark');
+      const team = mark && gradeData?.find(item => item.team === mark.dataset.team);
+      if (team) showTeamModal(team);
+    });
+
+    const canvas = document.getElementById('vex-scatter');
+    canvas?.addEventListener('click', (e) => {
+      const team = findScatterTeam(canvas, e);
+      if (team) showTeamModal(team);
+    });
+    canvas?.addEventListener('mousemove', (e) => {
+      const team = findScatterTeam(canvas, e);
+      canvas.style.cursor = team ? 'pointer' : '';
+      canvas.title = team ? `${team.team} ${team.teamName || ''}\nAuto ${team.programming}, Driver ${team.driver}` : '';
+    });
+  }
+
+  // Fields of parseApiData rows for search queries (see query.js); the context is getQueryContext()
+  const QUERY_SCHEMA = {
+    fields: {
+      ...TEAM_QUERY_FIELDS,
+      eventregion: { type: 'text', aliases: ['er'], get: item => item.eventRegion },
+      maxauto: { type: 'number', get: item => item.maxProgramming },
+      maxdriver: { type: 'number', get: item => item.maxDriver },
+      worldrank: { type: 'number', aliases: ['globalrank'], get: item => item.apiRank },
+      eligible: { type: 'flag', get: item => item.eligible }
+    },
+    text: teamQueryText
+  };
+
+  // Lookups the query fields need, gathered once per search pass
+  function getQueryContext() {
+    return { groups: getGroupMembership(), competition: getCompetitionTeams() };
+  }
+
+  // The search text compiled to a test. While the text has a syntax error, the last valid query keeps filtering.
+  function getTableQuery() {
+    if (compiledSearch.text !== tableSearch) {
+      const result = vexQuery.compile(tableSearch, QUERY_SCHEMA);
+      compiledSearch = { text: tableSearch, test: result.test || compiledSearch.test, error: result.error };
+    }
+    return compiledSearch;
+  }
+
+  // Saved search queries of the skills page
+  function getSavedQueries() {
+    return settings.savedQueries?.skills || [];
+  }
+
+  function setSavedQueries(queries) {
+    settings.savedQueries = { ...settings.savedQueries, skills: queries };
+    saveSettings('savedQueries');
+    updateSavedQueryControls();
+  }
+
+  // Fill the saved query dropdown, selecting the query in the search box if it is saved
+  function updateSavedQueryControls() {
+    const select = document.getElementById('vex-saved-queries');
+    if (!select) return;
+
+    const queries = getSavedQueries();
+    const current = queries.findIndex(saved => saved.query === tableSearch);
+    select.innerHTML = `<option value="">${queries.length > 0 ? 'Saved queries…' : 'No saved queries'}</option>` +
+      queries.map((saved, idx) => `<option value="${idx}" title="${escapeHtml(saved.query)}">${escapeHtml(saved.name)}</option>`).join('');
+    select.value = current >= 0 ? String(current) : '';
+
+    document.getElementById('vex-save-query').disabled = !tableSearch.trim() || !!getTableQuery().error;
+    document.getElementById('vex-delete-query').style.display = current >= 0 ? '' : 'none';
+  }
+
+  // Build export records. 'visible' is the table as shown (filters, search and sort applied);
+  // 'all' is every team in the grade level (ranked by score), in the current sort order.
+  function buildExportRecords(scope) {
+    if (!gradeData || !filteredData) return [];
+
+    const rows = scope === 'all'
+      ? sortData([...gradeData].sort((a, b) => b.score - a.score).map((item, idx) => ({ ...item, rank: idx + 1 })))
+      : tableRows;
+    const scopePercentile = createPercentileIndex((scope === 'all' ? gradeData : filteredData).map(d => d.score));
+    const globalPercentile = createPercentileIndex(gradeData.map(d => d.score));
+    const competitionTeams = getCompetitionTeams();
+    const groupMembership = getGroupMembership();
+
+    return rows.map(item => ({
+      rank: item.rank,
+      globalRank: item.apiRank,
+      team: item.team,
+      teamName: item.teamName,
+      organization: item.organization,
+      gradeLevel: item.gradeLevel,
+      score: item.score,
+      programming: item.programming,
+      driver: item.driver,
+      maxProgramming: item.maxProgramming,
+      maxDriver: item.maxDriver,
+      percentile: scopePercentile(item.score),
+      globalPercentile: globalPercentile(item.score),
+      highlightGroups: (groupMembership.get(item.team) || []).map(group => group.name).join('; '),
+      competition: competitionTeams.has(item.team),
+      city: item.city,
+      region: item.region,
+      country: item.country,
+      eventRegion: item.eventRegion,
+      eligible: item.eligible
+    }));
+  }
+
+  // Convert records to CSV (header row from the first record's keys)
+  function toCsv(records) {
+    if (records.length === 0) return '';
+    const columns = Object.keys(records[0]);
+    const lines = [columns.join(',')];
+    records.forEach(record => {
+      lines.push(columns.map(col => csvField(record[col])).join(','));
+    });
+    return lines.join('\r\n');
+  }
+
+  // File name like VIQRC-skills-middle-school-2025-01-31
+  function exportFileName(extension) {
+    const gradeLevel = getFilters().gradeLevel.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    const date = new Date().toISOString().split('T')[0];
+    return `${program.code}-skills${gradeLevel ? `-${gradeLevel}` : ''}-${date}.${extension}`;
+  }
+
+  // Export the standings as CSV or JSON
+  function exportData(format) {
+    const scope = document.querySelector('input[name="vex-export-scope"]:checked')?.value || 'visible';
+    const records = buildExportRecords(scope);
+    const status = document.getElementById('vex-export-status');
+
+    if (records.length === 0) {
+      if (status) status.textContent = 'No data to export yet.';
+      return;
+    }
+
+    if (format === 'csv') {
+      // Byte order mark so spreadsheet apps read team names as UTF-8
+      downloadFile(exportFileName('csv'), '\uFEFF' + toCsv(records), 'text/csv;charset=utf-8');
+    } else {
+      const payload = {
+        program: program.code,
+        seasonId: getSeasonId(),
+        gradeLevel: getFilters().gradeLevel,
+        scope,
+        exportedAt: new Date().toISOString(),
+        dataAsOf: dataAsOf ? new Date(dataAsOf).toISOString() : null,
+        teams: records
+      };
+      downloadFile(exportFileName('json'), JSON.stringify(payload, null, 2), 'application/json');
+    }
+
+    if (status) status.textContent = `Exported ${records.length} teams.`;
+    debug('Exported', records.length, 'teams as', format, '(scope:', scope + ')');
   }
 
   // Create the control panel
@@ -728,36 +1522,81 @@
       <div class="vex-enhancer-content">
         <div class="vex-section">
           <h4>Competition Teams</h4>
-          <p class="vex-help-text">Visit an event page and click "Capture Teams" to import registered teams.</p>
-          <input type="text" id="vex-competition-input" placeholder="Competition ID (e.g., RE-VIQRC-25-2623)">
+          <p class="vex-help-text">Enter a competition ID and click "Load Competition" to import its registered teams (needs an API token), or open the event page and click "Capture Teams".</p>
+          <input type="text" id="vex-competition-input" placeholder="Competition ID (e.g., RE-${program.code}-25-2623)">
+          <button id="vex-load-competition">Load Competition</button>
           <button id="vex-open-event">Open Event Page</button>
           <button id="vex-refresh-data">Refresh Data</button>
-          <label id="vex-filter-competition-label" style="margin-top: 8px; ${Object.keys(settings.competitionTeams).length === 0 ? 'display: none;' : ''}">
-            <input type="checkbox" id="vex-filter-competition" ${settings.onlyShowCompetitionTeams ? 'checked' : ''}>
-            Only show competition teams
-          </label>
+          <div id="vex-competition-tools" style="margin-top: 8px; ${getProgramCompetitions().length === 0 ? 'display: none;' : ''}">
+            <select id="vex-competition-select" title="Competition to filter and highlight"></select>
+            <label id="vex-filter-competition-label">
+              <input type="checkbox" id="vex-filter-competition" ${settings.onlyShowCompetitionTeams ? 'checked' : ''}>
+              Only show competition teams
+            </label>
+            <button id="vex-show-comparison" title="Field strength of each captured competition side by side">Compare Competitions</button>
+            <button id="vex-show-overlap" title="Teams registered at more than one captured competition">Competition Overlap</button>
+          </div>
           <div id="vex-competition-status"></div>
           <div id="vex-competition-list"></div>
         </div>
 
         <div class="vex-section">
-          <h4>Highlight Teams</h4>
+          <h4>Highlight Groups</h4>
           <input type="text" id="vex-team-input" placeholder="Enter team number(s), comma separated">
-          <button id="vex-add-teams">Add</button>
+          <div class="vex-inline-row">
+            <select id="vex-team-group" title="Group to add the teams to"></select>
+            <button id="vex-add-teams">Add</button>
+          </div>
+          <div class="vex-inline-row">
+            <input type="text" id="vex-new-group-name" placeholder="New group (e.g., Rivals)">
+            <button id="vex-add-group">New Group</button>
+          </div>
           <div id="vex-highlighted-list"></div>
         </div>
 
         <div class="vex-section">
           <h4>Statistics <span id="vex-stats-scope" class="vex-stats-note">(loading...)</span></h4>
+          <div class="vex-data-status">
+            <span id="vex-data-time"></span>
+            <button id="vex-force-refresh" title="Fetch fresh data from RobotEvents, bypassing the cache">↻ Refresh</button>
+          </div>
           <div id="vex-stats-container"></div>
+          <details id="vex-stats-charts" open>
+            <summary>Score charts</summary>
+            <div id="vex-histogram"></div>
+            <canvas id="vex-scatter" class="vex-scatter" style="width: 100%; aspect-ratio: ${CHART_WIDTH} / ${SCATTER_HEIGHT};"></canvas>
+            <div class="vex-chart-note">Marks show highlighted and competition teams. Click one to see its details.</div>
+          </details>
+        </div>
+
+        <div class="vex-section">
+          <h4>Export</h4>
+          <label>
+            <input type="radio" name="vex-export-scope" value="visible" checked>
+            Visible rows (filters, search and sort)
+          </label>
+          <label>
+            <input type="radio" name="vex-export-scope" value="all">
+            Full grade level
+          </label>
+          <div class="vex-export-buttons">
+            <button id="vex-export-csv">Export to CSV</button>
+            <button id="vex-export-json">Export to JSON</button>
+          </div>
+          <div id="vex-export-status" class="vex-stats-note"></div>
         </div>
 
         <div class="vex-section">
           <h4>Options</h4>
+          <label for="vex-season-select">Season</label>
+          <select id="vex-season-select">
+            <option value="">Current season</option>
+          </select>
           <label>
             <input type="checkbox" id="vex-use-custom-table" ${settings.useCustomTable ? 'checked' : ''}>
             Use enhanced table (uncheck to use original)
           </label>
+          <button id="vex-open-options">API Token &amp; Settings</button>
         </div>
       </div>
     `;
@@ -765,17 +1604,99 @@
     document.body.appendChild(panel);
   }
 
+  // Event dates for the competition list, e.g. "Jan 31 – Feb 1, 2025"
+  function formatEventDates(start, end) {
+    const startDate = new Date(start);
+    const endDate = end ? new Date(end) : startDate;
+    const format = (date, withYear) => date.toLocaleDateString([], { month: 'short', day: 'numeric', ...(withYear ? { year: 'numeric' } : {}) });
+    return startDate.toDateString() === endDate.toDateString()
+      ? format(startDate, true)
+      : `${format(startDate, false)} – ${format(endDate, true)}`;
+  }
+
+  // Capture time for display, e.g. 'Oct 3, 4:15 PM'
+  function formatCaptureTime(value) {
+    return new Date(value).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+  }
+
+  // Get a competition SKU from an ID or event page URL
+  function parseCompetitionId(value) {
+    const match = value.trim().match(/(RE-[A-Z0-9]+-\d+-\d+)/i);
+    return match ? match[1].toUpperCase() : value.trim().replace('.html', '');
+  }
+
+  // Load a competition's registered teams straight from the API (event details are stored with them)
+  async function loadCompetition() {
+    const input = document.getElementById('vex-competition-input');
+    const status = document.getElementById('vex-competition-status');
+    const competitionId = parseCompetitionId(input.value);
+
+    if (!competitionId) {
+      status.innerHTML = '<span class="vex-error">Please enter a competition ID</span>';
+      return;
+    }
+
+    // Without a token the event page's team list is the only source
+    if (!settings.apiToken) {
+      status.innerHTML = '<span class="vex-warning">Loading a competition needs an API token. Without one, click "Open Event Page" and use "Capture Teams" there.</span>';
+      return;
+    }
+
+    status.innerHTML = '<span class="vex-info">Loading competition...</span>';
+
+    let response = null;
+    try {
+      response = await chrome.runtime.sendMessage({ type: 'load-competition', sku: competitionId });
+    } catch (err) {
+      error('Failed to load competition:', err);
+    }
+
+    if (!response?.ok) {
+      status.innerHTML = response?.status === 404
+        ? `<span class="vex-error">No event found for ${competitionId}</span>`
+        : `<span class="vex-error">Could not load competition${response?.status ? ` (API error ${response.status})` : ''}</span>`;
+      return;
+    }
+
+    const capture = mergeCaptureHistory(settings.competitionTeams[competitionId], response.capture);
+    const change = getCaptureChange(capture);
+    settings.competitionTeams = { ...settings.competitionTeams, [competitionId]: capture };
+    saveSettings('competitionTeams');
+    updateCompetitionList();
+    refreshFilteredData();
+
+    const otherProgram = capture.program && capture.program !== program.code;
+    status.innerHTML = `
+      <span class="vex-success">
+        ✓ Loaded ${capture.teams.length} teams from "${capture.name}"
+        ${change ? `<br><small>${summarizeRegistrationChange(change)} since ${change.since ? formatCaptureTime(change.since) : 'the last capture'}</small>` : ''}
+        ${otherProgram ? `<br><small>This is a ${capture.program} event; its teams are highlighted on the ${capture.program} standings.</small>` : ''}
+      </span>
+    `;
+    input.value = '';
+  }
+
   // Update competition list display
   function updateCompetitionList() {
     const list = document.getElementById('vex-competition-list');
     if (!list) return;
 
-    const competitions = Object.entries(settings.competitionTeams);
+    const competitions = getProgramCompetitions();
 
-    // Show/hide the filter checkbox based on whether we have competitions
-    const filterLabel = document.getElementById('vex-filter-competition-label');
-    if (filterLabel) {
-      filterLabel.style.display = competitions.length > 0 ? '' : 'none';
+    // Show/hide the competition selector and filter based on whether we have competitions
+    const tools = document.getElementById('vex-competition-tools');
+    if (tools) {
+      tools.style.display = competitions.length > 0 ? '' : 'none';
+    }
+    const select = document.getElementById('vex-competition-select');
+    if (select) {
+      select.innerHTML = `<option value="">All captured competitions (${competitions.length})</option>` +
+        competitions.map(([id, comp]) => `<option value="${id}">${escapeHtml(comp.name || id)}</option>`).join('');
+      select.value = getSelectedCompetitionId();
+    }
+    const overlapButton = document.getElementById('vex-show-overlap');
+    if (overlapButton) {
+      overlapButton.style.display = competitions.length > 1 ? '' : 'none';
     }
 
     if (competitions.length === 0) {
@@ -785,7 +1706,7 @@
         settings.onlyShowCompetitionTeams = false;
         const checkbox = document.getElementById('vex-filter-competition');
         if (checkbox) checkbox.checked = false;
-        saveSettings();
+        saveSettings('onlyShowCompetitionTeams');
       }
       return;
     }
@@ -793,12 +1714,28 @@
     list.innerHTML = competitions.map(([id, comp]) => `
       <div class="vex-competition-item">
         <div class="vex-competition-header">
-          <strong>${comp.name || id}</strong>
+          <strong>${escapeHtml(comp.name || id)}</strong>
           <button class="vex-remove-competition" data-id="${id}" title="Remove">×</button>
         </div>
         <div class="vex-competition-info">
           <span class="vex-competition-teams-count">${comp.teams?.length || 0} teams</span>
+          ${comp.start ? `<span>${formatEventDates(comp.start, comp.end)}</span>` : ''}
+          ${comp.location?.city ? `<span>${[comp.location.city, comp.location.region].filter(Boolean).join(', ')}</span>` : ''}
         </div>
+        ${comp.divisions?.length > 1 ? `<div class="vex-competition-info">Divisions: ${comp.divisions.map(d => d.name).join(', ')}</div>` : ''}
+        ${comp.fetchedAt ? `<div class="vex-competition-info">Captured ${formatCaptureTime(comp.fetchedAt)}</div>` : ''}
+        ${comp.history?.length > 0 ? `
+          <details class="vex-competition-history">
+            <summary>Registration changes: ${summarizeRegistrationChange(comp.history[comp.history.length - 1])} (${formatCaptureTime(comp.history[comp.history.length - 1].at)})</summary>
+            ${[...comp.history].reverse().map(entry => `
+              <div class="vex-history-entry">
+                <strong>${formatCaptureTime(entry.at)}</strong>
+                ${entry.added.length > 0 ? `<div class="vex-history-added">+ ${entry.added.join(', ')}</div>` : ''}
+                ${entry.removed.length > 0 ? `<div class="vex-history-removed">− ${entry.removed.join(', ')}</div>` : ''}
+              </div>
+            `).join('')}
+          </details>
+        ` : ''}
         <div class="vex-competition-id">${id}</div>
       </div>
     `).join('');
@@ -807,55 +1744,454 @@
       btn.addEventListener('click', (e) => {
         const id = e.target.dataset.id;
         delete settings.competitionTeams[id];
-        saveSettings();
+        saveSettings('competitionTeams');
+        if (settings.selectedCompetitions?.[program.code] === id) {
+          delete settings.selectedCompetitions[program.code];
+          saveSettings('selectedCompetitions');
+        }
         updateCompetitionList();
         refreshFilteredData();
       });
     });
   }
 
-  // Update highlighted teams list
+  // Skills figures for each competition's field (teams in the selected grade level with skills scores)
+  function buildCompetitionComparison(competitions) {
+    const teamData = new Map((gradeData || []).map(item => [item.team, item]));
+    const groupMembership = getGroupMembership();
+
+    return competitions.map(([id, comp]) => {
+      const field = (comp.teams || [])
+        .map(team => teamData.get(team.toUpperCase()))
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score);
+      // Highlighted teams registered here, with their skills rank within this field
+      const ourTeams = (comp.teams || [])
+        .map(team => team.toUpperCase())
+        .filter(team => groupMembership.has(team))
+        .map(team => ({ team, rank: field.findIndex(item => item.team === team) + 1 }));
+
+      return {
+        id,
+        name: comp.name || id,
+        dates: comp.start ? formatEventDates(comp.start, comp.end) : '',
+        teamCount: comp.teams?.length || 0,
+        capacity: comp.capacity || '',
+        withSkills: field.length,
+        stats: calculateStats(field),
+        top: field.slice(0, 5),
+        ourTeams
+      };
+    });
+  }
+
+  // Show captured competitions side by side so coaches can compare their fields
+  function showComparisonModal() {
+    const existingModal = document.getElementById('vex-comparison-modal');
+    if (existingModal) existingModal.remove();
+
+    const columns = buildCompetitionComparison(getProgramCompetitions());
+    const stat = (column, key) => column.stats ? column.stats[key].toFixed(1) : '-';
+    const rows = [
+      ['Dates', column => column.dates || '-'],
+      ['Registered Teams', column => column.teamCount],
+      // The API has no capacity, so it is only known for competitions captured from their event page
+      ...(columns.some(column => column.capacity) ? [['Capacity', column => column.capacity ||
+        '<span title="Not known: captured through the API, which doesn\'t give event capacity">-</span>']] : []),
+      ['Teams with Skills', column => column.withSkills],
+      ['Avg Score', column => stat(column, 'avg')],
+      ['Median Score', column => column.stats?.median ?? '-'],
+      ['Max Score', column => column.stats?.max ?? '-'],
+      ['Avg Autonomous', column => stat(column, 'avgProgramming')],
+      ['Avg Driver', column => stat(column, 'avgDriver')],
+      ['Top 5 Skills', column => column.top.length === 0 ? '-' : `<ol class="vex-compare-top">${column.top.map(item =>
+        `<li><span class="vex-team-number">${item.team}</span> ${item.score}</li>`).join('')}</ol>`],
+      ['Highlighted Teams', column => column.ourTeams.length === 0 ? '-' : column.ourTeams.map(({ team, rank }) =>
+        `<div><span class="vex-team-number">${team}</span> ${rank > 0 ? `#${rank} of ${column.withSkills}` : '(no skills)'}</div>`).join('')]
+    ];
+
+    const modal = document.createElement('div');
+    modal.id = 'vex-comparison-modal';
+    modal.className = 'vex-modal-overlay';
+    modal.innerHTML = `
+      <div class="vex-modal vex-modal-wide">
+        <div class="vex-modal-header">
+          <h2>Compare Competitions</h2>
+          <button class="vex-modal-close">&times;</button>
+        </div>
+        <div class="vex-modal-body">
+          <p class="vex-help-text">Skills figures use each event's registered teams in the selected grade level (${getFilters().gradeLevel || 'all'}); teams with no skills scores are not counted.</p>
+          <div class="vex-compare-scroll">
+            <table class="vex-compare-table">
+              <thead>
+                <tr><th></th>${columns.map(column => `<th>${escapeHtml(column.name)}</th>`).join('')}</tr>
+              </thead>
+              <tbody>
+                ${rows.map(([label, value]) => `<tr><th>${label}</th>${columns.map(column => `<td>${value(column)}</td>`).join('')}</tr>`).join('')}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    // Close handlers
+    modal.querySelector('.vex-modal-close').addEventListener('click', () => modal.remove());
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) modal.remove();
+    });
+    document.addEventListener('keydown', function escHandler(e) {
+      if (e.key === 'Escape') {
+        modal.remove();
+        document.removeEventListener('keydown', escHandler);
+      }
+    });
+  }
+
+  // Shared teams for each pair of competitions, and the teams registered at more than one
+  function computeCompetitionOverlap(competitions) {
+    const teamSets = competitions.map(([, comp]) => new Set((comp.teams || []).map(team => team.toUpperCase())));
+    const matrix = teamSets.map(a => teamSets.map(b => [...a].filter(team => b.has(team))));
+
+    const teamEvents = new Map(); // Team -> indexes of the competitions it is registered at
+    teamSets.forEach((teams, index) => {
+      teams.forEach(team => {
+        if (!teamEvents.has(team)) teamEvents.set(team, []);
+        teamEvents.get(team).push(index);
+      });
+    });
+    const shared = [...teamEvents]
+      .filter(([, indexes]) => indexes.length > 1)
+      .sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0], undefined, { numeric: true }));
+
+    return { matrix, shared };
+  }
+
+  // Show which teams are registered at more than one of this program's captured competitions
+  function showOverlapModal() {
+    const existingModal = document.getElementById('vex-overlap-modal');
+    if (existingModal) existingModal.remove();
+
+    const competitions = getProgramCompetitions();
+    const { matrix, shared } = computeCompetitionOverlap(competitions);
+    const names = competitions.map(([id, comp]) => escapeHtml(comp.name || id));
+    const teamData = new Map((gradeData || []).map(item => [item.team, item]));
+
+    // Cells are shaded by the share of the smaller competition's teams that also attend the other
+    const cells = matrix.map((row, i) => row.map((teams, j) => {
+      if (i === j) {
+        return `<td class="vex-overlap-self" title="${names[i]}: ${teams.length} teams">${teams.length}</td>`;
+      }
+      const smaller = Math.min(matrix[i][i].length, matrix[j][j].length) || 1;
+      const shade = (teams.length / smaller) * 0.6;
+      return `<td class="vex-overlap-cell" data-row="${i}" data-col="${j}" style="background: rgba(196, 18, 48, ${shade.toFixed(2)});"
+        title="${teams.length} teams at both ${names[i]} and ${names[j]}">${teams.length}</td>`;
+    }).join(''));
+
+    const modal = document.createElement('div');
+    modal.id = 'vex-overlap-modal';
+    modal.className = 'vex-modal-overlay';
+    modal.innerHTML = `
+      <div class="vex-modal vex-modal-wide">
+        <div class="vex-modal-header">
+          <h2>Competition Overlap</h2>
+          <button class="vex-modal-close">&times;</button>
+        </div>
+        <div class="vex-modal-body">
+          <div class="vex-modal-section">
+            <h3>Shared Teams</h3>
+            <table class="vex-overlap-table">
+              <thead>
+                <tr><th></th>${names.map((name, i) => `<th title="${name}">${i + 1}</th>`).join('')}</tr>
+              </thead>
+              <tbody>
+                ${cells.map((row, i) => `<tr><th>${i + 1}. ${names[i]}</th>${row}</tr>`).join('')}
+              </tbody>
+            </table>
+            <div id="vex-overlap-detail" class="vex-help-text">Click a number to list the teams two competitions share.</div>
+          </div>
+          <div class="vex-modal-section">
+            <h3>Teams at More Than One Competition (${shared.length})</h3>
+            ${shared.length === 0 ? '<em>No team is registered at more than one captured competition.</em>' : `
+              <table class="vex-overlap-teams">
+                <thead><tr><th>Team</th><th>Name</th><th>Score</th><th>Competitions</th></tr></thead>
+                <tbody>
+                  ${shared.map(([team, indexes]) => `
+                    <tr>
+                      <td class="vex-team-number">${team}</td>
+                      <td>${escapeHtml(teamData.get(team)?.teamName || '-')}</td>
+                      <td>${teamData.get(team)?.score ?? '-'}</td>
+                      <td>${indexes.map(index => `<span title="${names[index]}">${index + 1}</span>`).join(', ')}</td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            `}
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    modal.querySelectorAll('.vex-overlap-cell').forEach(cell => {
+      cell.addEventListener('click', () => {
+        const i = parseInt(cell.dataset.row, 10);
+        const j = parseInt(cell.dataset.col, 10);
+        const teams = matrix[i][j];
+        modal.querySelector('#vex-overlap-detail').innerHTML = `<strong>${names[i]}</strong> and <strong>${names[j]}</strong>: ` +
+          (teams.length > 0 ? teams.sort((a, b) => a.localeCompare(b, undefined, { numeric: true })).join(', ') : 'no shared teams');
+      });
+    });
+
+    // Close handlers
+    modal.querySelector('.vex-modal-close').addEventListener('click', () => modal.remove());
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) modal.remove();
+    });
+    document.addEventListener('keydown', function escHandler(e) {
+      if (e.key === 'Escape') {
+        modal.remove();
+        document.removeEventListener('keydown', escHandler);
+      }
+    });
+  }
+
+  // New highlight group with a unique id
+  function createHighlightGroup(name, color, teams = []) {
+    const id = `group-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    return { id, name, color, enabled: true, teams };
+  }
+
+  // Replace one group's fields, save, and redraw
+  function updateHighlightGroup(id, changes) {
+    settings.highlightGroups = settings.highlightGroups.map(group => group.id === id ? { ...group, ...changes } : group);
+    saveSettings('highlightGroups');
+    updateHighlightedList();
+    refreshFilteredData();
+  }
+
+  // Update highlight group list (and the group picker next to the team input)
   function updateHighlightedList() {
     const list = document.getElementById('vex-highlighted-list');
+    const picker = document.getElementById('vex-team-group');
     if (!list) return;
 
-    if (settings.highlightedTeams.length === 0) {
-      list.innerHTML = '<em>No teams highlighted</em>';
+    const groups = settings.highlightGroups || [];
+
+    if (picker) {
+      const selected = picker.value;
+      picker.innerHTML = groups.map(group => `<option value="${group.id}">${escapeHtml(group.name)}</option>`).join('');
+      if (groups.some(group => group.id === selected)) picker.value = selected;
+    }
+
+    if (groups.length === 0) {
+      list.innerHTML = '<em>No highlight groups</em>';
       return;
     }
 
-    list.innerHTML = settings.highlightedTeams.map(team =>
-      `<span class="vex-team-tag">${team} <button class="vex-remove-team" data-team="${team}">×</button></span>`
-    ).join('');
+    list.innerHTML = groups.map(group => `
+      <div class="vex-group${group.enabled ? '' : ' vex-group-disabled'}" data-group="${group.id}">
+        <div class="vex-group-header">
+          <input type="checkbox" class="vex-group-enabled" ${group.enabled ? 'checked' : ''} title="Show this group's highlights">
+          <input type="color" class="vex-group-color" value="${group.color}" title="Group colour">
+          <input type="text" class="vex-group-name" value="${escapeHtml(group.name)}" title="Group name">
+          <button class="vex-remove-group" title="Delete group">×</button>
+        </div>
+        <div class="vex-group-teams">
+          ${group.teams.length === 0 ? '<em>No teams</em>' : group.teams.map(team =>
+            `<span class="vex-team-tag" style="background: ${group.color}; color: ${badgeTextColor(group.color)};">${team} <button class="vex-remove-team" data-team="${team}">×</button></span>`
+          ).join('')}
+        </div>
+      </div>
+    `).join('');
 
-    list.querySelectorAll('.vex-remove-team').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        const team = e.target.dataset.team;
-        settings.highlightedTeams = settings.highlightedTeams.filter(t => t !== team);
-        saveSettings();
+    list.querySelectorAll('.vex-group').forEach(element => {
+      const id = element.dataset.group;
+      const group = groups.find(g => g.id === id);
+
+      element.querySelector('.vex-group-enabled').addEventListener('change', (e) => {
+        updateHighlightGroup(id, { enabled: e.target.checked });
+      });
+      element.querySelector('.vex-group-color').addEventListener('change', (e) => {
+        if (/^#[0-9a-f]{6}$/i.test(e.target.value)) updateHighlightGroup(id, { color: e.target.value });
+      });
+      element.querySelector('.vex-group-name').addEventListener('change', (e) => {
+        const name = e.target.value.trim();
+        if (name) updateHighlightGroup(id, { name });
+        else e.target.value = group.name;
+      });
+      element.querySelector('.vex-remove-group').addEventListener('click', () => {
+        if (group.teams.length > 0 && !confirm(`Delete "${group.name}" and its ${group.teams.length} team(s)?`)) return;
+        settings.highlightGroups = settings.highlightGroups.filter(g => g.id !== id);
+        saveSettings('highlightGroups');
         updateHighlightedList();
         refreshFilteredData();
       });
+      element.querySelectorAll('.vex-remove-team').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+          const team = e.target.dataset.team;
+          updateHighlightGroup(id, { teams: group.teams.filter(t => t !== team) });
+        });
+      });
+    });
+  }
+
+  // Show a short message at the bottom of the page
+  function showToast(message) {
+    let toast = document.getElementById('vex-toast');
+    if (!toast) {
+      toast = document.createElement('div');
+      toast.id = 'vex-toast';
+      document.body.appendChild(toast);
+    }
+    toast.textContent = message;
+    toast.classList.add('vex-toast-visible');
+
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => toast.classList.remove('vex-toast-visible'), 4000);
+  }
+
+  // Describe changes to this program's captured competitions, e.g. 'Captured 40 teams from "Event"'
+  function describeCompetitionChanges(oldCompetitions = {}, newCompetitions = {}) {
+    const inProgram = (comp) => (comp.program || 'VIQRC') === program.code;
+    const messages = [];
+
+    Object.entries(newCompetitions).filter(([, comp]) => inProgram(comp)).forEach(([id, comp]) => {
+      const old = oldCompetitions[id];
+      if (!old) {
+        messages.push(`Captured ${comp.teams?.length || 0} teams from "${comp.name || id}"`);
+      } else if (JSON.stringify(old.teams) !== JSON.stringify(comp.teams)) {
+        const change = getCaptureChange(comp);
+        messages.push(`Updated "${comp.name || id}" (${change ? summarizeRegistrationChange(change) : `${comp.teams?.length || 0} teams`})`);
+      }
+    });
+    Object.entries(oldCompetitions).filter(([, comp]) => inProgram(comp)).forEach(([id, comp]) => {
+      if (!newCompetitions[id]) messages.push(`Removed "${comp.name || id}"`);
+    });
+
+    return messages;
+  }
+
+  // Describe highlight group edits, e.g. 'Added 1234A, 5678B to "Rivals"'
+  function describeHighlightChanges(oldGroups = [], newGroups = []) {
+    const messages = [];
+
+    newGroups.forEach(group => {
+      const old = oldGroups.find(g => g.id === group.id);
+      if (!old) {
+        messages.push(`Created group "${group.name}"`);
+        return;
+      }
+      const added = group.teams.filter(team => !old.teams.includes(team));
+      const removed = old.teams.filter(team => !group.teams.includes(team));
+      if (added.length > 0) messages.push(`Added ${added.join(', ')} to "${group.name}"`);
+      if (removed.length > 0) messages.push(`Removed ${removed.join(', ')} from "${group.name}"`);
+    });
+    oldGroups.forEach(group => {
+      if (!newGroups.some(g => g.id === group.id)) messages.push(`Deleted group "${group.name}"`);
+    });
+
+    return messages;
+  }
+
+  // Follow a season picked or a token saved elsewhere; the token decides which seasons are known (and which is current)
+  async function applySeasonChange(previousSeasonId, tokenChanged) {
+    if (tokenChanged) {
+      seasons = [];
+      currentSeasonId = program.defaultSeasonId;
+      await fetchSeasons();
+    }
+    updateSeasonSelect();
+
+    if (getSeasonId() !== previousSeasonId) {
+      document.getElementById('vex-stats-scope').textContent = '(loading...)';
+      fetchAllSkillsData();
+    }
+  }
+
+  // Apply captures, highlight edits and season or token changes made in other tabs (or on the options page) straight away
+  function onSettingsChanged(changes, area) {
+    if (area !== 'local') return;
+
+    // Changes this tab made itself are already applied
+    const changed = Object.keys(changes).filter(key =>
+      changes[key].newValue !== undefined &&
+      JSON.stringify(changes[key].newValue) !== JSON.stringify(settings[key])
+    );
+    if (changed.length === 0) return;
+
+    const messages = [];
+    if (changed.includes('competitionTeams')) {
+      messages.push(...describeCompetitionChanges(settings.competitionTeams, changes.competitionTeams.newValue));
+    }
+    if (changed.includes('highlightGroups')) {
+      messages.push(...describeHighlightChanges(settings.highlightGroups, changes.highlightGroups.newValue));
+    }
+
+    const previousSeasonId = getSeasonId();
+    changed.forEach(key => {
+      settings[key] = changes[key].newValue;
     });
+    debug('Settings changed in another tab:', changed);
+
+    if (changed.includes('savedQueries')) {
+      updateSavedQueryControls();
+    }
+
+    if (changed.includes('apiToken') || changed.includes('seasonIds')) {
+      applySeasonChange(previousSeasonId, changed.includes('apiToken'));
+    }
+
+    if (['competitionTeams', 'highlightGroups', 'selectedCompetitions', 'tableColumns'].some(key => changed.includes(key))) {
+      updateCompetitionList();
+      updateHighlightedList();
+      refreshFilteredData();
+    }
+
+    if (messages.length > 0) {
+      showToast(messages.join(' · '));
+    }
   }
 
-  // Save settings
-  function saveSettings() {
+  // Save the named settings to extension storage (only those keys, so other tabs' changes are kept)
+  async function saveSettings(...keys) {
     try {
-      localStorage.setItem(CONFIG.storageKey, JSON.stringify(settings));
+      const changes = {};
+      keys.forEach(key => changes[key] = settings[key]);
+      await chrome.storage.local.set(changes);
     } catch (e) {
       console.warn('Could not save settings:', e);
     }
   }
 
+  // Move settings saved by older versions in the page's localStorage into extension storage.
+  // That storage belongs to robotevents.com, so the copy (which may hold the API token) is removed.
+  async function migrateLegacySettings() {
+    const legacy = localStorage.getItem(CONFIG.legacyStorageKey);
+    if (!legacy) return;
+
+    try {
+      const parsed = JSON.parse(legacy);
+      const existing = await chrome.storage.local.get(null);
+      // Anything already in extension storage is newer than the legacy copy
+      await chrome.storage.local.set({ ...parsed, ...existing });
+      log('Migrated settings from page storage to extension storage');
+    } catch (e) {
+      console.warn('Could not migrate settings:', e);
+    }
+    localStorage.removeItem(CONFIG.legacyStorageKey);
+  }
+
   // Load settings
-  function loadSettings() {
+  async function loadSettings() {
     try {
-      const saved = localStorage.getItem(CONFIG.storageKey);
-      if (saved) {
-        const parsed = JSON.parse(saved);
-        settings = { ...settings, ...parsed };
-      }
+      await migrateLegacySettings();
+      const saved = await chrome.storage.local.get(null);
+      await migrateHighlightedTeams(saved);
+      settings = { ...settings, ...saved };
     } catch (e) {
       console.warn('Could not load settings:', e);
     }
@@ -871,31 +2207,30 @@
       e.target.textContent = isHidden ? '−' : '+';
     });
 
+    // Load competition from the API
+    document.getElementById('vex-load-competition')?.addEventListener('click', () => {
+      loadCompetition();
+    });
+
     // Open event page
     document.getElementById('vex-open-event')?.addEventListener('click', () => {
       const input = document.getElementById('vex-competition-input');
       const status = document.getElementById('vex-competition-status');
-      let competitionId = input.value.trim();
+      const competitionId = parseCompetitionId(input.value);
 
       if (!competitionId) {
         status.innerHTML = '<span class="vex-error">Please enter a competition ID</span>';
         return;
       }
 
-      if (competitionId.includes('/')) {
-        const match = competitionId.match(/(RE-[A-Z]+-\d+-\d+)/i);
-        if (match) competitionId = match[1];
-      }
-      competitionId = competitionId.replace('.html', '');
-
       status.innerHTML = '<span class="vex-info">Opening event page...</span>';
-      window.open(`${CONFIG.eventBaseUrl}${competitionId}.html#teams`, '_blank');
+      window.open(`${CONFIG.siteBaseUrl}/robot-competitions/${program.slug}/${competitionId}.html#teams`, '_blank');
       input.value = '';
     });
 
     // Refresh data
-    document.getElementById('vex-refresh-data')?.addEventListener('click', () => {
-      loadSettings();
+    document.getElementById('vex-refresh-data')?.addEventListener('click', async () => {
+      await loadSettings();
       updateCompetitionList();
       updateHighlightedList();
       refreshFilteredData();
@@ -905,26 +2240,60 @@
       }, 2000);
     });
 
-    // Enter key on competition input
+    setupChartListeners();
+
+    // Export
+    document.getElementById('vex-export-csv')?.addEventListener('click', () => exportData('csv'));
+    document.getElementById('vex-export-json')?.addEventListener('click', () => exportData('json'));
+
+    // Force refresh (bypass the cache)
+    document.getElementById('vex-force-refresh')?.addEventListener('click', async (e) => {
+      const button = e.target;
+      button.disabled = true;
+      button.textContent = 'Refreshing...';
+      await fetchAllSkillsData({ force: true });
+      button.disabled = false;
+      button.textContent = '↻ Refresh';
+    });
+
+    // Enter key on competition input (load with a token, otherwise open the event page)
     document.getElementById('vex-competition-input')?.addEventListener('keypress', (e) => {
-      if (e.key === 'Enter') document.getElementById('vex-open-event')?.click();
+      if (e.key === 'Enter') document.getElementById(settings.apiToken ? 'vex-load-competition' : 'vex-open-event')?.click();
     });
 
-    // Add teams
+    // Add teams to the selected group (creating the default group if every group was deleted)
     document.getElementById('vex-add-teams')?.addEventListener('click', () => {
       const input = document.getElementById('vex-team-input');
       const teams = input.value.split(',').map(t => t.trim().toUpperCase()).filter(t => t);
+      if (teams.length === 0) return;
 
-      teams.forEach(team => {
-        if (!settings.highlightedTeams.includes(team)) {
-          settings.highlightedTeams.push(team);
-        }
-      });
+      if (settings.highlightGroups.length === 0) {
+        settings.highlightGroups = [{ ...DEFAULT_HIGHLIGHT_GROUP }];
+      }
+      const groupId = document.getElementById('vex-team-group')?.value || settings.highlightGroups[0].id;
+      const group = settings.highlightGroups.find(g => g.id === groupId) || settings.highlightGroups[0];
+
+      input.value = '';
+      updateHighlightGroup(group.id, { teams: [...new Set([...group.teams, ...teams])] });
+    });
+
+    // Create a highlight group (cycling through the preset colours)
+    document.getElementById('vex-add-group')?.addEventListener('click', () => {
+      const input = document.getElementById('vex-new-group-name');
+      const name = input.value.trim();
+      if (!name) return;
 
+      const color = GROUP_COLORS[settings.highlightGroups.length % GROUP_COLORS.length];
+      const group = createHighlightGroup(name, color);
+      settings.highlightGroups = [...settings.highlightGroups, group];
       input.value = '';
-      saveSettings();
+      saveSettings('highlightGroups');
       updateHighlightedList();
-      refreshFilteredData();
+      document.getElementById('vex-team-group').value = group.id;
+    });
+
+    document.getElementById('vex-new-group-name')?.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') document.getElementById('vex-add-group')?.click();
     });
 
     // Enter key on team input
@@ -932,19 +2301,52 @@
       if (e.key === 'Enter') document.getElementById('vex-add-teams')?.click();
     });
 
+    // Extension options page (content scripts cannot open it themselves)
+    document.getElementById('vex-open-options')?.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'open-options' });
+    });
+
     // Custom table toggle
     document.getElementById('vex-use-custom-table')?.addEventListener('change', (e) => {
       settings.useCustomTable = e.target.checked;
-      saveSettings();
+      saveSettings('useCustomTable');
       toggleTableView();
     });
 
+    // Season picker
+    document.getElementById('vex-season-select')?.addEventListener('change', (e) => {
+      settings.seasonIds = { ...settings.seasonIds };
+      if (e.target.value) {
+        settings.seasonIds[program.code] = parseInt(e.target.value, 10);
+      } else {
+        delete settings.seasonIds[program.code];
+      }
+      saveSettings('seasonIds');
+      document.getElementById('vex-stats-scope').textContent = '(loading...)';
+      fetchAllSkillsData();
+    });
+
     // Competition teams filter toggle
     document.getElementById('vex-filter-competition')?.addEventListener('change', (e) => {
       settings.onlyShowCompetitionTeams = e.target.checked;
-      saveSettings();
+      saveSettings('onlyShowCompetitionTeams');
       refreshFilteredData();
     });
+
+    // Limit the competition filter and highlights to one competition
+    document.getElementById('vex-competition-select')?.addEventListener('change', (e) => {
+      settings.selectedCompetitions = { ...settings.selectedCompetitions };
+      if (e.target.value) {
+        settings.selectedCompetitions[program.code] = e.target.value;
+      } else {
+        delete settings.selectedCompetitions[program.code];
+      }
+      saveSettings('selectedCompetitions');
+      refreshFilteredData();
+    });
+
+    document.getElementById('vex-show-comparison')?.addEventListener('click', showComparisonModal);
+    document.getElementById('vex-show-overlap')?.addEventListener('click', showOverlapModal);
   }
 
   // Setup listeners for page filter changes
@@ -1001,19 +2403,33 @@
   }
 
   // Initialize
-  function init() {
+  async function init() {
     log('loaded');
 
-    loadSettings();
+    await loadSettings();
 
     // Wait a bit for page to load, then create UI and fetch data
-    setTimeout(() => {
+    setTimeout(async () => {
       createControlPanel();
       setupEventListeners();
       updateCompetitionList();
       updateHighlightedList();
 
-      // Fetch all data from API and build our table
+      // Captures and highlight edits from other tabs show up without a refresh
+      chrome.storage.onChanged.addListener(onSettingsChanged);
+
+      // Stop outstanding requests when the user leaves; fetch again if the page comes back from the back/forward cache
+      window.addEventListener('pagehide', () => pageController.abort());
+      window.addEventListener('pageshow', (e) => {
+        if (e.persisted && pageController.signal.aborted) {
+          pageController = new AbortController();
+          fetchAllSkillsData();
+        }
+      });
+
+      // Work out the current season, then fetch all data from API and build our table
+      await fetchSeasons();
+      updateSeasonSelect();
       fetchAllSkillsData();
 
       // Listen for filter changes
@@ -1,72 +1,211 @@
-// VIQRC Enhanced - Event Page Script
+// VIQRC Enhanced - Event Page Script (VIQRC, V5RC and VEX U)
 // This script runs on competition event pages to capture registered teams and show skills data
 (function() {
   'use strict';
 
   const CONFIG = {
     name: 'VIQRC Enhanced',
-    storageKey: 'vex-skills-enhancer-settings',
-    skillsApiUrl: 'https://www.robotevents.com/api/seasons/196/skills',
+    legacyStorageKey: 'vex-skills-enhancer-settings',  // Page localStorage key used by older versions
+    siteBaseUrl: 'https://www.robotevents.com',
+    apiBaseUrl: 'https://www.robotevents.com/api',
+    tableUpdateInterval: 500,  // Minimum ms between table rebuilds while team data streams in
+    contributionRidge: 1,      // Regularization of contribution ratings (higher pulls teams with few matches to the average)
+    predictionSimulations: 500, // Simulated qualification rounds behind each projected ranking range
+    predictionSeed: 20240501,  // Seed for the simulations, so projections stay put between rebuilds
     debug: false  // Set to true for verbose logging
   };
 
+  // Programs we enhance, keyed by the slug RobotEvents uses in its URLs
+  const PROGRAMS = {
+    'vex-iq-competition': {
+      id: 41,
+      code: 'VIQRC',
+      defaultSeasonId: 196,   // Used until the current season is known (or when there is no API token)
+      gradeLevels: ['Elementary', 'Middle School'],
+      teamPattern: '\\d{1,5}[A-Z]'
+    },
+    'vex-robotics-competition': {
+      id: 1,
+      code: 'V5RC',
+      defaultSeasonId: 197,
+      gradeLevels: ['Middle School', 'High School'],
+      teamPattern: '\\d{1,5}[A-Z]'
+    },
+    'college-competition': {
+      id: 4,
+      code: 'VURC',
+      defaultSeasonId: 198,
+      gradeLevels: ['College'],
+      teamPattern: '[A-Z]{2,6}\\d{0,2}'
+    }
+  };
+
+  // Determine the program from the current page URL (defaults to VIQRC)
+  function detectProgram() {
+    const match = window.location.pathname.match(/\/robot-competitions\/([^/]+)\//);
+    const slug = match && PROGRAMS[match[1]] ? match[1] : 'vex-iq-competition';
+    return { slug, ...PROGRAMS[slug] };
+  }
+
+  const program = detectProgram();
+  const teamNumberRegex = new RegExp(`^(${program.teamPattern})$`, 'i');
+
   // Logging utilities
   const log = (...args) => console.log(`${CONFIG.name} -`, ...args);
   const debug = (...args) => CONFIG.debug && console.log(`${CONFIG.name} [DEBUG] -`, ...args);
   const error = (...args) => console.error(`${CONFIG.name} -`, ...args);
 
-  // Fetch with retry and exponential backoff for rate limiting
-  async function fetchWithRetry(url, options = {}, maxRetries = 3) {
-    let lastError;
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-      try {
-        const response = await fetch(url, options);
-
-        if (response.status === 429) {
-          // Rate limited - get retry delay from header or use exponential backoff
-          const retryAfter = response.headers.get('Retry-After');
-          let delay;
-          if (retryAfter) {
-            delay = parseInt(retryAfter, 10) * 1000;
-          } else {
-            // Exponential backoff: 1s, 2s, 4s, 8s...
-            delay = Math.pow(2, attempt) * 1000;
-          }
+  // Send one API request to the background worker, which caches responses, adds the API token
+  // and runs every request through a shared rate-limited queue. Each request gets its own port:
+  // aborting `signal` closes it, which cancels the request in the worker.
+  // priority is 'high', 'normal' or 'low'; `tag` (a team number) lets a team's requests be moved up later.
+  // For paginated requests onPage(items, page, lastPage) is called as each page arrives.
+  // Resolves to { ok, status, data } (plus aborted: true when cancelled).
+  function apiRequest(url, { paginated = false, priority = 'normal', tag = null, signal = loadController.signal, force = forceRefresh, onPage } = {}) {
+    return new Promise(resolve => {
+      const items = [];
+      if (signal.aborted) {
+        resolve({ ok: false, status: 0, aborted: true, data: items });
+        return;
+      }
 
-          if (attempt < maxRetries) {
-            debug(`Rate limited (429), retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-            continue;
-          } else {
-            debug(`Rate limited (429), max retries exceeded`);
-            return response; // Return the 429 response after max retries
-          }
-        }
+      const port = chrome.runtime.connect({ name: 'api' });
 
-        return response;
-      } catch (err) {
-        lastError = err;
-        if (attempt < maxRetries) {
-          const delay = Math.pow(2, attempt) * 1000;
-          debug(`Fetch error, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries}):`, err.message);
-          await new Promise(resolve => setTimeout(resolve, delay));
+      const finish = (result) => {
+        signal.removeEventListener('abort', onAbort);
+        port.disconnect();
+        resolve(result);
+      };
+      const onAbort = () => finish({ ok: false, status: 0, aborted: true, data: items });
+      signal.addEventListener('abort', onAbort);
+
+      port.onMessage.addListener(message => {
+        if (message.type === 'page') {
+          items.push(...message.items);
+          noteFetchTime(message.fetchedAt);
+          if (onPage) onPage(message.items, message.page, message.lastPage);
+        } else if (message.type === 'done') {
+          finish({ ok: true, status: 200, data: items });
+        } else if (message.type === 'response') {
+          const { type, ...response } = message;
+          noteFetchTime(response.fetchedAt);
+          finish(response);
+        } else if (message.type === 'error') {
+          finish({ ok: false, status: message.status, data: items });
         }
-      }
+      });
+      port.onDisconnect.addListener(() => finish({ ok: false, status: 0, data: items }));
+
+      port.postMessage({ url, paginated, force, priority, tag });
+    });
+  }
+
+  // Fetch JSON for a single URL
+  const apiGet = (url, options) => apiRequest(url, options);
+
+  // Fetch every page of a v2 list endpoint
+  const apiGetAll = (url, options) => apiRequest(url, { ...options, paginated: true });
+
+  // Ask the worker to fetch a team's queued requests first (e.g. when the user opens it)
+  function prioritizeTeam(teamNumber) {
+    chrome.runtime.sendMessage({ type: 'api-prioritize', tag: teamNumber }).catch(() => {});
+  }
+
+  // Track the oldest fetch time among the responses in use
+  function noteFetchTime(fetchedAt) {
+    if (fetchedAt && (!dataAsOf || fetchedAt < dataAsOf)) {
+      dataAsOf = fetchedAt;
     }
-    throw lastError;
   }
 
+  // Helpers shared with the other page script (shared.js)
+  const { escapeHtml, getRowHighlight, buildGroupBadges, migrateHighlightedTeams, TEAM_QUERY_FIELDS,
+    teamQueryText, renderQueryError, csvField, downloadFile,
+    mergeCaptureHistory, summarizeRegistrationChange, getCaptureChange } = vexShared;
+
+  // Enabled highlight groups for each team number
+  const getGroupMembership = () => vexShared.getGroupMembership(settings.highlightGroups);
+
+  // Settings shared with the skills page and options page (kept in extension storage)
+  let settings = {
+    competitionTeams: {},
+    highlightGroups: [],    // Named groups of highlighted teams: { id, name, color, enabled, teams }
+    savedQueries: {},       // Page type ('skills' or 'event') -> saved search queries: [{ name, query }]
+    hiddenAwards: [],       // Award names hidden by default (set on the options page)
+    knownAwardNames: []     // Award names seen so far, offered on the options page
+  };
+
   let eventTeams = [];      // Teams registered for this event
+  let eventCapture = null;  // Competition capture from the API (teams plus event details), if loaded
   let skillsData = null;    // Skills data for all teams
   let matchAverages = null; // Recent match averages for teams
+  let contributionRatings = null; // Team -> contribution rating from matchAverages' matches (null until worked out)
+  let eventSchedule = null;       // Qualification matches per division for an upcoming event, once published
+  let schedulePrediction = null;  // Predicted scores and projected rankings for eventSchedule (see getSchedulePrediction)
+  let scheduleSource = null;      // { eventId, divisions } eventSchedule is fetched for
   let eventAwards = null;   // Awards won at this event (Map of team -> array of awards)
   let eventFinalized = false; // Whether the event has already occurred
+  let dataAsOf = null;        // When the oldest API response in use was fetched (ms timestamp)
+  let forceRefresh = false;   // Bypass the background cache while refreshing
+  let loadController = new AbortController(); // Cancels the current data load's requests
   let sortColumn = 'score';
   let sortDirection = 'desc';
+  let seasons = [];           // Seasons for the program, newest first
+  let currentSeasonId = program.defaultSeasonId;
+  let eventSeasonId = null;   // Season of the event on this page (from the API)
+  let searchFilter = '';      // Current table search text (kept across rebuilds)
+  let compiledSearch = { text: '', test: () => true, error: null }; // searchFilter compiled by query.js
+  let tableUpdateTimer = null;
+
+  // Per-team state of the match and award columns: 'pending', 'loaded', 'failed' or 'none' (no data available)
+  let loadStatus = { matches: new Map(), awards: new Map() };
+  let rawMatches = new Map(); // Team number -> { teamId, matches } for the season, kept to recompute averages
+
+  // Pick the current season: the newest one that has started and not yet ended
+  function findCurrentSeason(seasonList) {
+    const now = new Date();
+    return seasonList.find(s => new Date(s.start) <= now && (!s.end || now <= new Date(s.end))) ||
+           seasonList.find(s => new Date(s.start) <= now) ||
+           seasonList[0] ||
+           null;
+  }
+
+  // Season to fetch data for: a season picked on an event page, then the event's own season, then
+  // the skills page's pick (only reached while the event's season is unknown), then the current season
+  function getSeasonId() {
+    return settings.eventSeasonIds?.[program.code] || eventSeasonId || settings.seasonIds?.[program.code] || currentSeasonId;
+  }
+
+  // Fetch the program's seasons from the RobotEvents API
+  async function fetchSeasons() {
+    if (!settings.apiToken) {
+      debug('No API token configured, using default season', program.defaultSeasonId);
+      return;
+    }
+
+    try {
+      const url = `${CONFIG.apiBaseUrl}/v2/seasons?program[]=${program.id}`;
+      const response = await apiGetAll(url);
+
+      if (!response.ok) {
+        debug('Failed to fetch seasons - status:', response.status);
+        return;
+      }
+
+      seasons = response.data
+        .map(season => ({ id: season.id, name: season.name, start: season.start, end: season.end }))
+        .sort((a, b) => new Date(b.start) - new Date(a.start));
+
+      currentSeasonId = findCurrentSeason(seasons)?.id || program.defaultSeasonId;
+      debug('Loaded', seasons.length, 'seasons, current season:', currentSeasonId);
+    } catch (err) {
+      error('Failed to fetch seasons:', err);
+    }
+  }
 
   // Extract competition ID from URL
   function getCompetitionId() {
-    const match = window.location.pathname.match(/(RE-[A-Z]+-\d+-\d+)/i);
+    const match = window.location.pathname.match(/(RE-[A-Z0-9]+-\d+-\d+)/i);
     return match ? match[1] : null;
   }
 
@@ -89,28 +228,23 @@
   async function fetchEventInfo(sku) {
     if (!sku) return null;
 
-    const settings = loadSettings();
     if (!settings.apiToken) {
       debug('No API token configured, skipping event info fetch');
       return null;
     }
 
     try {
-      const url = `https://www.robotevents.com/api/v2/events?sku[]=${encodeURIComponent(sku)}`;
+      const url = `${CONFIG.apiBaseUrl}/v2/events?sku[]=${encodeURIComponent(sku)}`;
       debug('Fetching event info from:', url);
 
-      const headers = {
-        'Authorization': `Bearer ${settings.apiToken}`
-      };
-      const response = await fetchWithRetry(url, { headers });
+      const response = await apiGetAll(url);
 
       if (!response.ok) {
         debug('Failed to fetch event info - status:', response.status);
         return null;
       }
 
-      const data = await response.json();
-      const events = data.data || [];
+      const events = response.data;
 
       if (events.length > 0) {
         const event = events[0];
@@ -120,7 +254,9 @@
           name: event.name,
           finalized: event.awards_finalized || false,
           start: event.start,
-          end: event.end
+          end: event.end,
+          seasonId: event.season?.id || null,
+          divisions: event.divisions || []
         };
       }
 
@@ -139,7 +275,32 @@
     return date.toISOString().split('T')[0];
   }
 
-  // Extract teams from the page
+  // Load the event's registered teams from the API through the background worker
+  // (also fills eventCapture with the event details stored when capturing)
+  async function fetchEventTeams(sku) {
+    if (!sku || !hasApiToken()) return null;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'load-competition', sku });
+      if (!response?.ok) {
+        debug('Failed to load event teams - status:', response?.status);
+        return null;
+      }
+
+      eventCapture = response.capture;
+      return response.teamDetails.map(team => ({
+        team: team.team,
+        teamName: team.teamName,
+        organization: team.organization,
+        location: team.location
+      }));
+    } catch (err) {
+      error('Failed to load event teams:', err);
+      return null;
+    }
+  }
+
+  // Extract teams from the page (fallback when there is no API token or the API fails)
   function extractTeams() {
     const teams = [];
 
@@ -174,7 +335,7 @@
           const teamLink = cell.querySelector('a[href*="/teams/"]');
           if (teamLink) {
             const text = teamLink.textContent.trim();
-            const teamMatch = text.match(/(\d{1,5}[A-Z]?)/i);
+            const teamMatch = text.match(teamNumberRegex);
             if (teamMatch) {
               teamNum = teamMatch[1].toUpperCase();
             }
@@ -202,7 +363,7 @@
       const teamLinks = document.querySelectorAll('a[href*="/teams/"]');
       teamLinks.forEach(link => {
         const text = link.textContent.trim();
-        const teamMatch = text.match(/^(\d{1,5}[A-Z]?)$/i);
+        const teamMatch = text.match(teamNumberRegex);
         if (teamMatch) {
           const teamNum = teamMatch[1].toUpperCase();
           if (!teams.find(t => t.team === teamNum)) {
@@ -219,7 +380,6 @@
   async function fetchEventSkillsData(eventId) {
     if (!eventId) return false;
 
-    const settings = loadSettings();
     if (!settings.apiToken) {
       debug('No API token configured, skipping event skills fetch');
       return false;
@@ -228,21 +388,17 @@
     try {
       skillsData = new Map();
 
-      const url = `https://www.robotevents.com/api/v2/events/${eventId}/skills?per_page=250`;
+      const url = `${CONFIG.apiBaseUrl}/v2/events/${eventId}/skills`;
       debug('Fetching event skills from:', url);
 
-      const headers = {
-        'Authorization': `Bearer ${settings.apiToken}`
-      };
-      const response = await fetchWithRetry(url, { headers });
+      const response = await apiGetAll(url);
 
       if (!response.ok) {
         debug('Failed to fetch event skills - status:', response.status);
         return false;
       }
 
-      const data = await response.json();
-      const skills = data.data || [];
+      const skills = response.data;
       debug('Received', skills.length, 'skills entries from event');
 
       // Log first skill entry to debug format
@@ -309,7 +465,6 @@
   async function fetchEventAwards(eventId) {
     if (!eventId) return false;
 
-    const settings = loadSettings();
     if (!settings.apiToken) {
       debug('No API token configured, skipping event awards fetch');
       return false;
@@ -318,21 +473,17 @@
     try {
       eventAwards = new Map();
 
-      const url = `https://www.robotevents.com/api/v2/events/${eventId}/awards?per_page=250`;
+      const url = `${CONFIG.apiBaseUrl}/v2/events/${eventId}/awards`;
       debug('Fetching event awards from:', url);
 
-      const headers = {
-        'Authorization': `Bearer ${settings.apiToken}`
-      };
-      const response = await fetchWithRetry(url, { headers });
+      const response = await apiGetAll(url);
 
       if (!response.ok) {
         debug('Failed to fetch event awards - status:', response.status);
         return false;
       }
 
-      const data = await response.json();
-      const awards = data.data || [];
+      const awards = response.data;
       debug('Received', awards.length, 'awards from event');
 
       // Group awards by team
@@ -353,7 +504,7 @@
       });
 
       debug('Processed awards for', eventAwards.size, 'teams');
-      return eventAwards.size > 0;
+      return true;
     } catch (err) {
       error('Failed to fetch event awards:', err);
       return false;
@@ -361,26 +512,21 @@
   }
 
   // Fetch season awards for a single team
-  async function fetchTeamSeasonAwards(teamId) {
+  async function fetchTeamSeasonAwards(teamId, teamNumber = null) {
     if (!teamId) return [];
 
-    const settings = loadSettings();
     if (!settings.apiToken) return [];
 
     try {
-      const url = `https://www.robotevents.com/api/v2/teams/${teamId}/awards?season[]=196&program[]=41&per_page=250`;
-      const headers = {
-        'Authorization': `Bearer ${settings.apiToken}`
-      };
-      const response = await fetchWithRetry(url, { headers });
+      const url = `${CONFIG.apiBaseUrl}/v2/teams/${teamId}/awards?season[]=${getSeasonId()}&program[]=${program.id}`;
+      const response = await apiGetAll(url, { priority: 'low', tag: teamNumber });
 
+      if (response.aborted) return [];
       if (!response.ok) {
-        debug('Failed to fetch team awards - status:', response.status);
-        return [];
+        throw new Error(`API returned ${response.status}`);
       }
 
-      const data = await response.json();
-      const awards = data.data || [];
+      const awards = response.data;
 
       return awards.map(award => ({
         name: award.title || 'Award',
@@ -390,13 +536,15 @@
       }));
     } catch (err) {
       debug('Failed to fetch team awards:', err);
-      return [];
+      throw err;
     }
   }
 
-  // Fetch season awards for all teams (with rate limiting)
+  // Fetch season awards for all teams (the background queue paces the requests),
+  // updating the table as each team's awards arrive. Teams whose awards are already loaded are skipped.
   async function fetchAllSeasonAwards(teams) {
-    eventAwards = new Map();
+    const signal = loadController.signal;
+    if (!eventAwards) eventAwards = new Map();
 
     if (!hasApiToken()) {
       debug('No API token configured, skipping season awards fetch');
@@ -404,29 +552,21 @@
     }
 
     try {
-      // Process in batches to avoid rate limiting
-      const batchSize = 5;
-      for (let i = 0; i < teams.length; i += batchSize) {
-        const batch = teams.slice(i, i + batchSize);
-        const promises = batch.map(async team => {
-          if (team.teamId) {
-            try {
-              const awards = await fetchTeamSeasonAwards(team.teamId);
-              if (awards.length > 0) {
-                eventAwards.set(team.team.toUpperCase(), awards);
-              }
-            } catch (err) {
-              debug('Error fetching awards for team', team.team, err);
+      await Promise.all(teams.map(async team => {
+        if (team.teamId && loadStatus.awards.get(team.team) !== 'loaded') {
+          try {
+            const awards = await fetchTeamSeasonAwards(team.teamId, team.team);
+            if (signal.aborted) return;
+            if (awards.length > 0) {
+              eventAwards.set(team.team.toUpperCase(), awards);
             }
+            setLoadStatus('awards', team.team, 'loaded');
+          } catch (err) {
+            debug('Error fetching awards for team', team.team, err);
+            if (!signal.aborted) setLoadStatus('awards', team.team, 'failed');
           }
-        });
-        await Promise.all(promises);
-
-        // Small delay between batches
-        if (i + batchSize < teams.length) {
-          await new Promise(resolve => setTimeout(resolve, 100));
         }
-      }
+      }));
 
       debug('Fetched season awards for', eventAwards.size, 'teams');
     } catch (err) {
@@ -438,21 +578,19 @@
   async function fetchSkillsData() {
     skillsData = new Map();
 
-    // Fetch both Elementary and Middle School data
-    const gradeLevels = ['Elementary', 'Middle School'];
-
-    for (const gradeLevel of gradeLevels) {
+    // Fetch every grade level the program has (e.g. Elementary and Middle School for VIQRC)
+    for (const gradeLevel of program.gradeLevels) {
       try {
-        const url = `${CONFIG.skillsApiUrl}?post_season=0&grade_level=${encodeURIComponent(gradeLevel)}`;
+        const url = `${CONFIG.apiBaseUrl}/seasons/${getSeasonId()}/skills?post_season=0&grade_level=${encodeURIComponent(gradeLevel)}`;
         debug('Fetching skills data for', gradeLevel);
 
-        const response = await fetchWithRetry(url);
+        const response = await apiGet(url);
         if (!response.ok) {
           debug('Failed to fetch', gradeLevel, '- status:', response.status);
           continue;
         }
 
-        const data = await response.json();
+        const data = response.data;
         debug('Received', data.length, 'teams from', gradeLevel);
 
         // Add to map (don't overwrite if team already exists with higher score)
@@ -490,7 +628,6 @@
 
   // Check if API token is configured
   function hasApiToken() {
-    const settings = loadSettings();
     return !!(settings.apiToken && settings.apiToken.trim());
   }
 
@@ -498,7 +635,6 @@
   async function fetchTeamIds(teamNumbers) {
     if (!teamNumbers || teamNumbers.length === 0) return new Map();
 
-    const settings = loadSettings();
     if (!settings.apiToken) {
       debug('No API token configured, skipping team ID fetch');
       return new Map();
@@ -506,23 +642,19 @@
 
     try {
       // Build query string with all team numbers
-      // program[]=41 limits to VEX IQ teams only
+      // program[] limits to teams in this page's program
       const numberParams = teamNumbers.map(num => `number[]=${encodeURIComponent(num)}`).join('&');
-      const url = `https://www.robotevents.com/api/v2/teams?${numberParams}&program[]=41&season[]=196&per_page=250`;
+      const url = `${CONFIG.apiBaseUrl}/v2/teams?${numberParams}&program[]=${program.id}&season[]=${getSeasonId()}`;
       debug('Fetching team IDs from:', url);
 
-      const headers = {
-        'Authorization': `Bearer ${settings.apiToken}`
-      };
-      const response = await fetchWithRetry(url, { headers });
+      const response = await apiGetAll(url);
 
       if (!response.ok) {
         debug('Failed to fetch team IDs - status:', response.status);
         return new Map();
       }
 
-      const data = await response.json();
-      const teams = data.data || [];
+      const teams = response.data;
       debug('Received', teams.length, 'teams from API');
 
       // Build map of team number -> team ID
@@ -542,35 +674,194 @@
     }
   }
 
-  // Fetch match data for a team and calculate match average
-  // If eventCodeFilter is provided, only include matches from that event
-  async function fetchMatchData(teamId, eventCodeFilter = null) {
+  // Fetch a team's raw matches for the season
+  async function fetchTeamMatches(teamId, teamNumber = null) {
     if (!teamId) return null;
 
-    const settings = loadSettings();
     if (!settings.apiToken) {
       debug('No API token configured, skipping match fetch');
       return null;
     }
 
     try {
-      const url = `https://www.robotevents.com/api/v2/teams/${teamId}/matches?season%5B%5D=196&per_page=250`;
+      const url = `${CONFIG.apiBaseUrl}/v2/teams/${teamId}/matches?season%5B%5D=${getSeasonId()}`;
       debug('Fetching matches from:', url);
-      const headers = {
-        'Authorization': `Bearer ${settings.apiToken}`
-      };
-      const response = await fetchWithRetry(url, { headers });
+      const response = await apiGetAll(url, { priority: 'low', tag: teamNumber });
       debug('Response status:', response.status);
+      if (response.aborted) return null;
       if (!response.ok) {
         debug('Response not ok for team', teamId, '- status:', response.status);
-        return null;
+        throw new Error(`API returned ${response.status}`);
       }
 
-      const data = await response.json();
-      debug('Match data for team', teamId, ':', data);
-      const matches = data.data || [];
-      debug('Total matches:', matches.length);
+      debug('Total matches for team', teamId, ':', response.data.length);
+      return response.data;
+    } catch (err) {
+      error('Failed to fetch match data for team', teamId, err);
+      throw err;
+    }
+  }
+
+  // Round codes of the API's matches; every other round is an elimination (finals) round
+  const PRACTICE_ROUND = 1;
+  const QUALIFICATION_ROUND = 2;
+
+  // Round type of a match: 'practice', 'qualification' or 'finals'
+  function getRoundType(round) {
+    if (round === PRACTICE_ROUND) return 'practice';
+    if (round === QUALIFICATION_ROUND) return 'qualification';
+    return 'finals';
+  }
+
+  // Round types counted in match averages (matchRounds setting; all by default)
+  function getIncludedRounds() {
+    return { practice: true, qualification: true, finals: true, ...settings.matchRounds };
+  }
+
+  // Default drop table for official VIQRC ranking averages: from `matches` qualification matches
+  // at an event, the `drop` lowest scores don't count (edited on the options page to follow the game manual)
+  const DEFAULT_RANKING_DROPS = [{ matches: 4, drop: 1 }, { matches: 8, drop: 2 }];
+
+  // Whether averages follow the official VIQRC qualification ranking (only VIQRC ranks by average score)
+  function useRankingAverage() {
+    return program.code === 'VIQRC' && settings.matchAverageMode === 'ranking';
+  }
+
+  // How many of an event's qualification scores are dropped (always keeping at least one)
+  function getDropCount(matchCount) {
+    const drops = settings.rankingDrops?.length ? settings.rankingDrops : DEFAULT_RANKING_DROPS;
+    const drop = drops.filter(row => matchCount >= row.matches).reduce((max, row) => Math.max(max, row.drop), 0);
+    return Math.min(drop, matchCount - 1);
+  }
+
+  // Official VIQRC ranking average over a team's matches: per event, only qualification matches count and
+  // the lowest scores are dropped per the drop table; the kept scores of every event are averaged.
+  // Returns { average, exact, kept, dropped } (average rounded for display, exact for ordering; scores kept
+  // highest first) or null without qualification matches.
+  function computeRankingAverage(matchList) {
+    const byEvent = new Map();
+    matchList.filter(match => match.round === QUALIFICATION_ROUND).forEach(match => {
+      if (!byEvent.has(match.eventCode)) byEvent.set(match.eventCode, []);
+      byEvent.get(match.eventCode).push(match.teamAlliance.score);
+    });
+    if (byEvent.size === 0) return null;
+
+    const kept = [];
+    const dropped = [];
+    byEvent.forEach(scores => {
+      const sorted = [...scores].sort((a, b) => a - b);
+      const drop = getDropCount(sorted.length);
+      dropped.push(...sorted.slice(0, drop));
+      kept.push(...sorted.slice(drop));
+    });
+    kept.sort((a, b) => b - a);
+    const exact = kept.reduce((sum, score) => sum + score, 0) / kept.length;
+
+    return {
+      average: Math.round(exact * 10) / 10,
+      exact,
+      kept,
+      dropped
+    };
+  }
+
+  // Official tiebreakers between equal ranking averages: each team drops its next lowest kept score and
+  // the averages are compared again (repeating while both have scores left), then the highest score. Higher first.
+  function compareRankingTiebreak(a, b) {
+    const mean = (scores) => scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    for (let drop = 1; drop < Math.min(a.kept.length, b.kept.length); drop++) {
+      const difference = mean(b.kept.slice(0, b.kept.length - drop)) - mean(a.kept.slice(0, a.kept.length - drop));
+      if (difference !== 0) return difference;
+    }
+    return (b.kept[0] || 0) - (a.kept[0] || 0);
+  }
+
+  // Match average modes besides the official ranking average (matchAverageMode setting)
+  const AVERAGE_MODES = ['mean', 'decay', 'median', 'trimmed', 'best'];
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // The chosen average mode and its parameters, with defaults. Stored values are clamped again,
+  // since a zero or negative half-life or N would give NaN averages.
+  function getAverageMode() {
+    const mode = AVERAGE_MODES.includes(settings.matchAverageMode) ? settings.matchAverageMode : 'mean';
+    const bestOf = Math.max(1, settings.bestOfN || 5);
+    return {
+      mode,
+      halfLife: Math.max(1, settings.decayHalfLifeDays || 30),        // decay: days after which a match counts half
+      trim: Math.min(45, Math.max(0, settings.trimPercent ?? 10)),  // trimmed: percent of scores left out at each end
+      bestOf,                                                        // best: the N best scores...
+      bestFrom: Math.max(bestOf, settings.bestOfM || 10)             // ...of the M most recent matches
+    };
+  }
+
+  // A team's match average under the chosen mode; matchList is most recent first.
+  // Every mode but the plain mean keeps one decimal.
+  function aggregateScores(matchList) {
+    const { mode, halfLife, trim, bestOf, bestFrom } = getAverageMode();
+    const scores = matchList.map(match => match.teamAlliance.score);
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const oneDecimal = (value) => Math.round(value * 10) / 10;
+    const sorted = [...scores].sort((a, b) => a - b);
+
+    if (mode === 'decay') {
+      // Weight halves every halfLife days back from the latest match (only the ratios between matches
+      // matter, and counting from the latest keeps old matches from all rounding to zero weight)
+      const latest = Math.max(...matchList.map(match => new Date(match.date).getTime() || 0));
+      let total = 0;
+      let weights = 0;
+      matchList.forEach(match => {
+        const age = Math.max(0, (latest - new Date(match.date).getTime()) / DAY_MS) || 0;
+        const weight = Math.pow(0.5, age / halfLife);
+        total += weight * match.teamAlliance.score;
+        weights += weight;
+      });
+      return oneDecimal(total / weights);
+    }
+    if (mode === 'median') {
+      const middle = Math.floor(sorted.length / 2);
+      return oneDecimal(sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2);
+    }
+    if (mode === 'trimmed') {
+      const cut = Math.floor(sorted.length * trim / 100);
+      const kept = sorted.slice(cut, sorted.length - cut);
+      return oneDecimal(mean(kept.length > 0 ? kept : sorted));
+    }
+    if (mode === 'best') {
+      const best = scores.slice(0, bestFrom).sort((a, b) => b - a).slice(0, bestOf);
+      return oneDecimal(mean(best));
+    }
+    return Math.round(mean(scores));
+  }
+
+  // Header tooltip (and team details) text for the match average mode in use
+  function describeAverageMode() {
+    const scope = eventFinalized ? 'matches at this event' : 'recent matches (match history filter)';
+    if (useRankingAverage()) {
+      const drops = (settings.rankingDrops?.length ? settings.rankingDrops : DEFAULT_RANKING_DROPS)
+        .map(row => `${row.drop} from ${row.matches} matches`).join(', ');
+      return `Official ranking average of ${scope}: qualification matches only, lowest scores dropped per event (${drops}). Ties are broken by dropping the next lowest score, then by the highest score.`;
+    }
+
+    const { mode, halfLife, trim, bestOf, bestFrom } = getAverageMode();
+    if (mode === 'decay') return `Weighted average of ${scope}: a match counts half as much for every ${halfLife} days since it was played.`;
+    if (mode === 'median') return `Median score of ${scope}.`;
+    if (mode === 'trimmed') return `Trimmed average of ${scope}: the lowest and highest ${trim}% of scores are left out.`;
+    if (mode === 'best') return `Average of the best ${bestOf} scores among the last ${bestFrom} ${scope}.`;
+    return eventFinalized
+      ? `Average of all ${scope}. Unlike official rankings, no low scores are dropped.`
+      : `Average of all ${scope}.`;
+  }
+
+  // Short name of the average mode for the column header (none for the plain average)
+  function shortAverageMode() {
+    if (useRankingAverage()) return null;
+    return { decay: 'weighted', median: 'median', trimmed: 'trimmed', best: `best ${getAverageMode().bestOf}` }[getAverageMode().mode] || null;
+  }
 
+  // Work out a team's match average and max from its raw season matches, applying the
+  // match history filter from settings (or only this event's matches if eventCodeFilter is given)
+  function computeMatchStats(teamId, matches, eventCodeFilter = null) {
+    try {
       // First, filter to only scored matches and sort by date
       let scoredMatches = matches.filter(match => {
         if (!match.updated_at) return false;
@@ -615,7 +906,6 @@
         filteredEvents = sortedEvents;
       } else {
         // Apply settings-based filter for recent matches
-        const settings = loadSettings();
         const filterType = settings.matchFilterType || 'since_date';
         const filterDate = settings.matchFilterDate || getDefaultFilterDate();
         const filterCount = settings.matchFilterCount || 5;
@@ -638,12 +928,8 @@
       debug('Recent scored matches:', recentMatches.length);
       if (recentMatches.length === 0) return null;
 
-      // Calculate average and max score for this team across recent matches
-      let totalScore = 0;
-      let maxScore = 0;
-      let matchCount = 0;
-      const matchList = [];
-
+      // Every recent match with the team's alliance and the opposing one
+      const allMatches = [];
       recentMatches.forEach(match => {
         // Find which alliance the team was on (red or blue)
         const alliances = match.alliances || [];
@@ -651,9 +937,6 @@
           const teamOnAlliance = alliance.teams?.some(t => t.team?.id === teamId);
           if (teamOnAlliance && alliance.score !== undefined) {
             debug('Team', teamId, 'on', alliance.color, 'alliance, score:', alliance.score);
-            totalScore += alliance.score;
-            maxScore = Math.max(maxScore, alliance.score);
-            matchCount++;
 
             // Find opposing alliance
             const opponent = alliances.find(a => a.color !== alliance.color);
@@ -662,8 +945,11 @@
             const teamNumbers = alliance.teams?.map(t => t.team?.name || t.team?.code || '?') || [];
             const opponentNumbers = opponent?.teams?.map(t => t.team?.name || t.team?.code || '?') || [];
 
-            matchList.push({
+            allMatches.push({
+              id: match.id,
               name: match.name || `Match ${match.matchnum}`,
+              round: match.round,
+              roundType: getRoundType(match.round),
               eventName: match.event?.name || '',
               eventCode: match.event?.code || '',
               teamAlliance: {
@@ -684,64 +970,583 @@
       });
 
       // Sort matches by date descending (most recent first)
-      matchList.sort((a, b) => new Date(b.date) - new Date(a.date));
+      allMatches.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+      // The averages use the round types chosen in settings; finals are also summed up on their own
+      const rounds = getIncludedRounds();
+      const matchList = allMatches.filter(match => rounds[match.roundType]);
+      const finalsList = allMatches.filter(match => match.roundType === 'finals');
+      const scores = matchList.map(match => match.teamAlliance.score);
+      const finalsScores = finalsList.map(match => match.teamAlliance.score);
 
-      debug('Match count:', matchCount, 'Total score:', totalScore, 'Max:', maxScore, 'Avg:', matchCount > 0 ? totalScore / matchCount : 0);
-      if (matchCount === 0) return null;
+      const matchCount = matchList.length;
+      const totalScore = scores.reduce((sum, score) => sum + score, 0);
+      debug('Match count:', matchCount, 'of', allMatches.length, 'Total score:', totalScore, 'Finals:', finalsList.length);
+      if (matchCount === 0 && finalsList.length === 0) return null;
+
+      // In ranking mode the average follows the official VIQRC rules; without qualification matches
+      // (none in the window, or left out by the round setting) there is no ranking average
+      const rankingMode = useRankingAverage();
+      const ranking = rankingMode ? computeRankingAverage(matchList) : null;
 
       return {
-        average: Math.round(totalScore / matchCount),
-        max: maxScore,
+        average: matchCount === 0 ? null : rankingMode ? ranking?.average ?? null : aggregateScores(matchList),
+        max: matchCount === 0 ? null : Math.max(...scores),
         matchCount: matchCount,
-        matches: matchList
+        matches: matchList,
+        ranking,
+        finals: finalsList.length === 0 ? null : {
+          best: Math.max(...finalsScores),
+          average: Math.round(finalsScores.reduce((sum, score) => sum + score, 0) / finalsScores.length),
+          count: finalsList.length,
+          matches: finalsList
+        }
       };
     } catch (err) {
-      error('Failed to fetch match data for team', teamId, err);
+      error('Failed to process match data for team', teamId, err);
+      return null;
+    }
+  }
+
+  // Only this event's matches count once it is finalized; otherwise recent matches per settings
+  function getMatchEventFilter() {
+    return eventFinalized ? getCompetitionId() : null;
+  }
+
+  // Recompute one team's match average from its cached raw matches
+  function updateMatchAverage(teamNumber) {
+    const raw = rawMatches.get(teamNumber);
+    const result = raw ? computeMatchStats(raw.teamId, raw.matches, getMatchEventFilter()) : null;
+    contributionRatings = null;
+    if (result) {
+      matchAverages.set(teamNumber, result);
+    } else {
+      matchAverages.delete(teamNumber);
+    }
+  }
+
+  // Recompute every match average (e.g. after the match history filter changes) without fetching
+  function recomputeMatchAverages() {
+    matchAverages = new Map();
+    contributionRatings = null;
+    rawMatches.forEach((raw, teamNumber) => updateMatchAverage(teamNumber));
+  }
+
+  // Contribution ratings (see computeContributionRatings), worked out again only when the match data changes
+  function getContributionRatings() {
+    if (!contributionRatings) {
+      contributionRatings = computeContributionRatings(collectAllianceScores());
+    }
+    return contributionRatings;
+  }
+
+  // One { teams, score } per alliance score in the teams' recent (or event) matches, each match counted once.
+  // In VIQRC Teamwork matches both teams share one score, so the two teams form a single alliance
+  // however the API splits them; in other programs each alliance's score is its own.
+  function collectAllianceScores() {
+    const seen = new Set();
+    const allianceScores = [];
+    const known = (teams) => teams.length > 0 && !teams.includes('?');
+
+    matchAverages?.forEach(stats => {
+      stats.matches.forEach(match => {
+        const key = match.id ?? `${match.eventCode}-${match.name}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        const alliances = [match.teamAlliance, match.opponentAlliance].filter(a => a && a.score !== null && a.score !== undefined);
+        if (program.code === 'VIQRC') {
+          const teams = [...new Set(alliances.flatMap(a => a.teams))];
+          if (known(teams)) allianceScores.push({ teams, score: match.teamAlliance.score });
+        } else {
+          alliances.forEach(a => {
+            if (known(a.teams)) allianceScores.push({ teams: a.teams, score: a.score });
+          });
+        }
+      });
+    });
+    return allianceScores;
+  }
+
+  // Least-squares contribution rating (like OPR): the ratings of the teams on each alliance should add up
+  // to its score. Solves the ridge-regularized normal equations (AᵀA + λI)x = Aᵀb + λ·prior with conjugate
+  // gradient; the small λ pulls teams with few matches towards the average share of an alliance score.
+  // Returns a Map of team number -> { rating, matches, partnerRating }.
+  function computeContributionRatings(allianceScores) {
+    const ratings = new Map();
+    if (allianceScores.length === 0) return ratings;
+
+    const index = new Map();
+    allianceScores.forEach(({ teams }) => teams.forEach(team => {
+      if (!index.has(team)) index.set(team, index.size);
+    }));
+    const size = index.size;
+    const rows = allianceScores.map(({ teams, score }) => ({ columns: teams.map(team => index.get(team)), score }));
+    const prior = rows.reduce((sum, row) => sum + row.score / row.columns.length, 0) / rows.length;
+    const ridge = CONFIG.contributionRidge;
+
+    // (AᵀA + λI)·x without forming the matrix
+    const multiply = (x) => {
+      const result = new Float64Array(size);
+      rows.forEach(({ columns }) => {
+        let sum = 0;
+        columns.forEach(c => { sum += x[c]; });
+        columns.forEach(c => { result[c] += sum; });
+      });
+      for (let i = 0; i < size; i++) result[i] += ridge * x[i];
+      return result;
+    };
+
+    const rhs = new Float64Array(size).fill(ridge * prior);
+    rows.forEach(({ columns, score }) => columns.forEach(c => { rhs[c] += score; }));
+
+    const x = new Float64Array(size).fill(prior);
+    const start = multiply(x);
+    const residual = rhs.map((value, i) => value - start[i]);
+    const direction = Float64Array.from(residual);
+    let residualNorm = residual.reduce((sum, r) => sum + r * r, 0);
+    for (let iteration = 0; iteration < size && residualNorm > 1e-8; iteration++) {
+      const product = multiply(direction);
+      const step = residualNorm / direction.reduce((sum, d, i) => sum + d * product[i], 0);
+      for (let i = 0; i < size; i++) {
+        x[i] += step * direction[i];
+        residual[i] -= step * product[i];
+      }
+      const nextNorm = residual.reduce((sum, r) => sum + r * r, 0);
+      for (let i = 0; i < size; i++) direction[i] = residual[i] + (nextNorm / residualNorm) * direction[i];
+      residualNorm = nextNorm;
+    }
+
+    // Alliance scores and partners' ratings per team
+    const matchCounts = new Array(size).fill(0);
+    const partnerTotals = new Array(size).fill(0);
+    const partnerCounts = new Array(size).fill(0);
+    rows.forEach(({ columns }) => columns.forEach(c => {
+      matchCounts[c]++;
+      columns.forEach(other => {
+        if (other === c) return;
+        partnerTotals[c] += x[other];
+        partnerCounts[c]++;
+      });
+    }));
+
+    index.forEach((i, team) => {
+      ratings.set(team.toUpperCase(), {
+        rating: Math.round(x[i] * 10) / 10,
+        matches: matchCounts[i],
+        partnerRating: partnerCounts[i] > 0 ? Math.round(partnerTotals[i] / partnerCounts[i] * 10) / 10 : null
+      });
+    });
+    debug('Contribution ratings for', size, 'teams from', rows.length, 'alliance scores');
+    return ratings;
+  }
+
+  // Fetch the qualification matches of each division; none are returned until the schedule is published
+  async function fetchEventSchedule(eventId, divisions, { force } = {}) {
+    if (!eventId || !divisions?.length) return null;
+
+    try {
+      const results = await Promise.all(divisions.map(async division => {
+        const url = `${CONFIG.apiBaseUrl}/v2/events/${eventId}/divisions/${division.id}/matches?round%5B%5D=2`;
+        debug('Fetching schedule from:', url);
+        const response = await apiGetAll(url, { force });
+        if (response.aborted) return null;
+        if (!response.ok) throw new Error(`API returned ${response.status}`);
+        return { id: division.id, name: division.name, matches: response.data };
+      }));
+      const published = results.filter(division => division && division.matches.length > 0);
+      debug('Schedule:', published.map(division => `${division.name}: ${division.matches.length} matches`).join(', ') || 'not published');
+      return published.length > 0 ? published : null;
+    } catch (err) {
+      error('Failed to fetch event schedule:', err);
       return null;
     }
   }
 
-  // Fetch match averages for all teams (with rate limiting)
-  // If eventCode is provided, only include matches from that event
-  async function fetchAllMatchAverages(teams, eventCode = null) {
-    const matchAverages = new Map();
+  // Fetch the schedule again, past the cache, so matches played since it was loaded keep their real
+  // scores in the predictions. Resolves to whether the schedule changed.
+  async function refreshEventSchedule() {
+    if (!scheduleSource || eventFinalized) return false;
+    const schedule = await fetchEventSchedule(scheduleSource.eventId, scheduleSource.divisions, { force: true });
+    if (!schedule || JSON.stringify(schedule) === JSON.stringify(eventSchedule)) return false;
+    eventSchedule = schedule;
+    schedulePrediction = null;
+    return true;
+  }
+
+  // A scheduled match's alliances as { color, teams, score }. In VIQRC both teams of a Teamwork
+  // match form one alliance (as for contribution ratings).
+  function getScheduleAlliances(match) {
+    const alliances = (match.alliances || []).map(alliance => ({
+      color: alliance.color,
+      teams: (alliance.teams || []).map(t => (t.team?.name || '').toUpperCase()).filter(Boolean),
+      score: alliance.score
+    })).filter(alliance => alliance.teams.length > 0);
+
+    if (program.code === 'VIQRC' && alliances.length > 1) {
+      return [{ color: 'teamwork', teams: alliances.flatMap(alliance => alliance.teams), score: alliances[0].score }];
+    }
+    return alliances;
+  }
+
+  // Sample variance (n - 1)
+  function variance(values) {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    return values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+  }
+
+  // Each team's expected share of an alliance score and the variance of its alliance scores. The share is
+  // the contribution rating, or the match average split across the alliance (predictionBasis setting).
+  // Teams without match data get the field's average share and variance.
+  function getTeamEstimates(teams, ratings, allianceSize) {
+    const statsByTeam = new Map();
+    matchAverages?.forEach((stats, team) => statsByTeam.set(team.toUpperCase(), stats));
+    const useRatings = (settings.predictionBasis || 'contribution') === 'contribution';
+
+    const estimates = new Map();
+    teams.forEach(team => {
+      const stats = statsByTeam.get(team);
+      const rating = ratings.get(team);
+      const mean = useRatings && rating ? rating.rating : stats?.average != null ? stats.average / allianceSize : null;
+      if (mean === null) return;
+      const scores = stats ? stats.matches.map(match => match.teamAlliance.score) : [];
+      estimates.set(team, { mean, variance: scores.length >= 3 ? variance(scores) : null, known: true });
+    });
+
+    const known = [...estimates.values()];
+    const fieldMean = known.length > 0 ? known.reduce((sum, e) => sum + e.mean, 0) / known.length : 0;
+    const spreads = known.filter(e => e.variance !== null);
+    const fieldVariance = spreads.length > 0
+      ? spreads.reduce((sum, e) => sum + e.variance, 0) / spreads.length
+      : (fieldMean * allianceSize * 0.25) ** 2;
+
+    teams.forEach(team => {
+      const estimate = estimates.get(team);
+      if (!estimate) {
+        estimates.set(team, { mean: fieldMean, variance: fieldVariance, known: false });
+      } else if (estimate.variance === null) {
+        estimate.variance = fieldVariance;
+      }
+    });
+    return estimates;
+  }
+
+  // Seeded random numbers (mulberry32), so the projections don't change between table rebuilds
+  function createRandom(seed) {
+    return () => {
+      seed = (seed + 0x6D2B79F5) | 0;
+      let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Standard normal sample (Box-Muller)
+  function normalSample(random) {
+    return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+  }
+
+  // Predicted scores and projected rankings for the schedule, worked out again when the ratings
+  // (i.e. the match data) or the prediction basis change
+  function getSchedulePrediction() {
+    if (!eventSchedule) return null;
+    const ratings = getContributionRatings();
+    const basis = settings.predictionBasis || 'contribution';
+    if (!schedulePrediction || schedulePrediction.ratings !== ratings || schedulePrediction.basis !== basis) {
+      schedulePrediction = { ratings, basis, ...predictSchedule(eventSchedule, ratings) };
+    }
+    return schedulePrediction;
+  }
+
+  // Predict every scheduled match (played matches keep their real score) and simulate each division's
+  // qualification ranking. VIQRC ranks by ranking average (lowest Teamwork scores dropped); other programs by win points
+  // (2 per win, 1 per tie), then average alliance score.
+  // Returns { matches, teams } where teams maps team number -> projection.
+  function predictSchedule(schedule, ratings) {
+    const scheduleAlliances = schedule.map(division => division.matches.map(getScheduleAlliances));
+    const allTeams = new Set(scheduleAlliances.flat(2).flatMap(alliance => alliance.teams));
+    const allianceSize = Math.max(1, ...scheduleAlliances.flat(2).map(alliance => alliance.teams.length));
+    const estimates = getTeamEstimates([...allTeams], ratings, program.code === 'VIQRC' ? 2 : allianceSize);
+    const random = createRandom(CONFIG.predictionSeed);
+
+    const matches = [];
+    const teams = new Map();
+    schedule.forEach((division, d) => {
+      const divisionMatches = division.matches.map((match, m) => ({
+        id: match.id,
+        name: match.name || `Q${match.matchnum}`,
+        division: division.name,
+        scheduled: match.scheduled || null,
+        alliances: scheduleAlliances[d][m].map(alliance => {
+          const members = alliance.teams.map(team => estimates.get(team));
+          return {
+            color: alliance.color,
+            teams: alliance.teams,
+            predicted: members.reduce((sum, e) => sum + e.mean, 0),
+            spread: Math.sqrt(members.reduce((sum, e) => sum + e.variance, 0) / members.length),
+            actual: match.scored && alliance.score !== null && alliance.score !== undefined ? alliance.score : null,
+            estimated: members.some(e => !e.known)
+          };
+        })
+      }));
+      matches.push(...divisionMatches);
+      simulateDivision(division.name, divisionMatches, random).forEach((projection, team) => teams.set(team, projection));
+    });
+
+    debug('Predicted', matches.length, 'scheduled matches for', teams.size, 'teams');
+    return { matches, teams };
+  }
+
+  // Win points of an alliance against the others in its match (none in VIQRC, where all teams are on one side)
+  function winPoints(scores, k) {
+    if (scores.length < 2) return 0;
+    const best = Math.max(...scores.filter((score, i) => i !== k));
+    return scores[k] > best ? 2 : scores[k] === best ? 1 : 0;
+  }
+
+  // Monte Carlo over a division's matches: each unplayed alliance score is drawn around its prediction.
+  // Returns a Map of team -> { division, divisionSize, projectedRank, rankLow, rankHigh, expectedAverage, matches, played }.
+  function simulateDivision(divisionName, divisionMatches, random) {
+    const teamList = [...new Set(divisionMatches.flatMap(match => match.alliances.flatMap(alliance => alliance.teams)))];
+    const index = new Map(teamList.map((team, i) => [team, i]));
+    const size = teamList.length;
+    const ranks = teamList.map(() => []);
+
+    const rankOnce = (scoreOf) => {
+      const scores = teamList.map(() => []);
+      const points = new Float64Array(size);
+      divisionMatches.forEach(match => {
+        const allianceScores = match.alliances.map(scoreOf);
+        match.alliances.forEach((alliance, k) => {
+          const won = winPoints(allianceScores, k);
+          alliance.teams.forEach(team => {
+            const i = index.get(team);
+            scores[i].push(allianceScores[k]);
+            points[i] += won;
+          });
+        });
+      });
+      // VIQRC ranks by the official ranking average, as the table does: lowest scores dropped, ties broken
+      // by the next lowest kept score. Other programs use the plain average after win points.
+      const rankings = program.code === 'VIQRC'
+        ? scores.map(list => computeRankingAverage(list.map(score => ({ round: QUALIFICATION_ROUND, eventCode: divisionName, teamAlliance: { score } }))))
+        : null;
+      const averages = rankings
+        ? rankings.map(ranking => ranking.exact)
+        : scores.map(list => list.reduce((sum, score) => sum + score, 0) / (list.length || 1));
+      const order = teamList.map((team, i) => i).sort((a, b) =>
+        points[b] - points[a] || averages[b] - averages[a] || (rankings ? compareRankingTiebreak(rankings[a], rankings[b]) : 0));
+      return { order, averages, counts: scores.map(list => list.length) };
+    };
+
+    for (let run = 0; run < CONFIG.predictionSimulations; run++) {
+      const { order } = rankOnce(alliance => alliance.actual ?? Math.max(0, alliance.predicted + alliance.spread * normalSample(random)));
+      order.forEach((i, position) => ranks[i].push(position + 1));
+    }
+
+    // Expected averages and the most likely ranking come from the predictions themselves
+    const expected = rankOnce(alliance => alliance.actual ?? alliance.predicted);
+    const played = new Float64Array(size);
+    divisionMatches.forEach(match => match.alliances.forEach(alliance => {
+      if (alliance.actual !== null) alliance.teams.forEach(team => played[index.get(team)]++);
+    }));
+
+    const projections = new Map();
+    teamList.forEach((team, i) => {
+      const sorted = ranks[i].sort((a, b) => a - b);
+      const at = (fraction) => sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+      projections.set(team, {
+        division: divisionName,
+        divisionSize: size,
+        projectedRank: at(0.5),
+        rankLow: at(0.1),
+        rankHigh: at(0.9),
+        expectedAverage: Math.round(expected.averages[i] * 10) / 10,
+        matches: expected.counts[i],
+        played: played[i]
+      });
+    });
+    return projections;
+  }
+
+  // Fetch match averages for all teams (the background queue paces the requests),
+  // updating the table as each team's matches arrive.
+  // Teams whose raw matches are already loaded are recomputed without fetching.
+  async function fetchAllMatchAverages(teams) {
+    const signal = loadController.signal;
+    recomputeMatchAverages();
 
     // Skip if no API token configured
     if (!hasApiToken()) {
       debug('No API token configured, skipping match data fetch');
-      return matchAverages;
+      return;
     }
 
     try {
-      // Process in batches to avoid rate limiting
-      const batchSize = 5;
-      for (let i = 0; i < teams.length; i += batchSize) {
-        const batch = teams.slice(i, i + batchSize);
-        const promises = batch.map(async team => {
-          if (team.teamId) {
-            try {
-              const result = await fetchMatchData(team.teamId, eventCode);
-              if (result) {
-                matchAverages.set(team.team, result);
-              }
-            } catch (err) {
-              debug('Error fetching match data for team', team.team, err);
-              // Continue with other teams
-            }
+      await Promise.all(teams.map(async team => {
+        if (team.teamId && !rawMatches.has(team.team)) {
+          try {
+            const matches = await fetchTeamMatches(team.teamId, team.team);
+            if (signal.aborted || !matches) return;
+            rawMatches.set(team.team, { teamId: team.teamId, matches });
+            updateMatchAverage(team.team);
+            setLoadStatus('matches', team.team, 'loaded');
+          } catch (err) {
+            debug('Error fetching match data for team', team.team, err);
+            // Continue with other teams
+            if (!signal.aborted) setLoadStatus('matches', team.team, 'failed');
           }
-        });
-        await Promise.all(promises);
-
-        // Small delay between batches
-        if (i + batchSize < teams.length) {
-          await new Promise(resolve => setTimeout(resolve, 100));
         }
-      }
+      }));
     } catch (err) {
       error('Error in fetchAllMatchAverages:', err);
     }
+  }
+
+  // Forget per-team match and award data (before a refresh or when the season changes)
+  function resetTeamData() {
+    rawMatches = new Map();
+    matchAverages = new Map();
+    contributionRatings = null;
+    eventSchedule = null;
+    schedulePrediction = null;
+    eventAwards = null;
+    loadStatus = { matches: new Map(), awards: new Map() };
+  }
+
+  // Record a team's column state and refresh the table shortly
+  function setLoadStatus(column, teamNumber, status) {
+    loadStatus[column].set(teamNumber, status);
+    scheduleTableUpdate();
+  }
+
+  // Set every event team's state for a column
+  function setAllLoadStatus(column, status) {
+    eventTeams.forEach(team => loadStatus[column].set(team.team, status));
+  }
+
+  // Count teams whose data for a column has finished loading (or failed)
+  function countLoaded(column) {
+    return eventTeams.filter(team => {
+      const status = loadStatus[column].get(team.team);
+      return status && status !== 'pending';
+    }).length;
+  }
+
+  // Rebuild the table soon, at most once per tableUpdateInterval
+  function scheduleTableUpdate() {
+    if (tableUpdateTimer) return;
+    tableUpdateTimer = setTimeout(() => {
+      tableUpdateTimer = null;
+      buildEnhancedTable();
+    }, CONFIG.tableUpdateInterval);
+  }
+
+  // Placeholder for a cell whose data isn't shown: still loading, failed, or not available
+  function statusCell(status, label) {
+    if (status === 'pending') return `<span class="vex-cell-pending" title="Loading ${label}...">…</span>`;
+    if (status === 'failed') return `<span class="vex-cell-failed" title="Couldn't load ${label}">⚠</span>`;
+    return `<span class="vex-cell-none" title="No ${label} available">-</span>`;
+  }
+
+  // Progress bar shown while match and award data is loading
+  function buildProgressBar() {
+    const total = eventTeams.length;
+    const matchesDone = countLoaded('matches');
+    const awardsDone = countLoaded('awards');
+    if (total === 0 || (matchesDone === total && awardsDone === total)) return '';
+
+    const percent = Math.round((matchesDone + awardsDone) / (total * 2) * 100);
+    return `
+      <div class="vex-load-progress">
+        <div class="vex-load-progress-bar"><div style="width: ${percent}%"></div></div>
+        <span>Loading matches ${matchesDone}/${total}, awards ${awardsDone}/${total}</span>
+      </div>
+    `;
+  }
+
+  // Fields of the table's merged team rows for search queries (see query.js); the context is getQueryContext()
+  const QUERY_SCHEMA = {
+    fields: {
+      ...TEAM_QUERY_FIELDS,
+      matchavg: { type: 'number', aliases: ['avg'], get: item => item.recentMatchAvg },
+      matchmax: { type: 'number', aliases: ['max'], get: item => item.recentMatchMax },
+      matches: { type: 'number', get: item => item.recentMatchCount },
+      contribution: { type: 'number', aliases: ['opr', 'rating'], get: item => item.contribution },
+      projrank: { type: 'number', aliases: ['projected'], get: item => item.projectedRank },
+      finals: { type: 'number', get: item => item.finalsBest },
+      awards: { type: 'number', get: item => filterAwards(eventAwards?.get(item.team.toUpperCase()) || []).length },
+      new: { type: 'flag', aliases: ['joined'], get: (item, context) => context.joined.has(item.team.toUpperCase()) }
+    },
+    text: teamQueryText
+  };
+
+  // Lookups the query fields need, gathered once per search pass
+  function getQueryContext() {
+    return {
+      groups: getGroupMembership(),
+      competition: getCompetitionTeams(),
+      joined: new Set(getRegistrationDiff()?.added || [])
+    };
+  }
+
+  // The search text compiled to a test. While the text has a syntax error, the last valid query keeps filtering.
+  function getSearchQuery() {
+    if (compiledSearch.text !== searchFilter) {
+      const result = vexQuery.compile(searchFilter, QUERY_SCHEMA);
+      compiledSearch = { text: searchFilter, test: result.test || compiledSearch.test, error: result.error };
+    }
+    return compiledSearch;
+  }
+
+  // Saved search queries of event pages
+  function getSavedQueries() {
+    return settings.savedQueries?.event || [];
+  }
 
-    return matchAverages;
+  function setSavedQueries(queries) {
+    settings.savedQueries = { ...settings.savedQueries, event: queries };
+    saveSettings('savedQueries');
+    updateSavedQueryControls();
+  }
+
+  // Fill the saved query dropdown, selecting the query in the search box if it is saved
+  function updateSavedQueryControls() {
+    const select = document.getElementById('vex-event-saved-queries');
+    if (!select) return;
+
+    const queries = getSavedQueries();
+    const current = queries.findIndex(saved => saved.query === searchFilter);
+    select.innerHTML = `<option value="">${queries.length > 0 ? 'Saved queries…' : 'No saved queries'}</option>` +
+      queries.map((saved, idx) => `<option value="${idx}" title="${escapeHtml(saved.query)}">${escapeHtml(saved.name)}</option>`).join('');
+    select.value = current >= 0 ? String(current) : '';
+
+    document.getElementById('vex-event-save-query').disabled = !searchFilter.trim() || !!getSearchQuery().error;
+    document.getElementById('vex-event-delete-query').style.display = current >= 0 ? '' : 'none';
+  }
+
+  // Show only the rows matching the search query and update the team count
+  function applySearch(container, mergedData, teamsWithScores) {
+    const query = getSearchQuery();
+    const context = getQueryContext();
+    const rows = container.querySelectorAll('tbody tr');
+    let visibleCount = 0;
+    rows.forEach(row => {
+      const matches = query.test(mergedData[row.dataset.idx], context);
+      row.style.display = matches ? '' : 'none';
+      if (matches) visibleCount++;
+    });
+    container.querySelector('.vex-event-count').textContent =
+      searchFilter.trim() ? `${visibleCount} of ${mergedData.length} teams` : `${mergedData.length} teams (${teamsWithScores} with skills scores)${eventFinalized ? ' - Event Completed' : ''}`;
+
+    document.getElementById('vex-event-search')?.classList.toggle('vex-query-invalid', !!query.error);
+    renderQueryError(document.getElementById('vex-event-search-error'), searchFilter, query.error);
+    updateSavedQueryControls();
+  }
+
+  // Format a fetch timestamp for the "data as of" note
+  function formatDataTime(timestamp) {
+    return new Date(timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
   }
 
   // Calculate percentile
@@ -753,6 +1558,9 @@
 
   // Build enhanced teams table
   function buildEnhancedTable() {
+    clearTimeout(tableUpdateTimer);
+    tableUpdateTimer = null;
+
     if (eventTeams.length === 0) return;
 
     // Find the teams section
@@ -774,12 +1582,17 @@
       } else {
         teamsSection.appendChild(container);
       }
+      setupTableListeners(container);
     }
 
-    // Merge event teams with skills data and match averages
+    // Merge event teams with skills data, match averages, contribution ratings and schedule projections
+    const ratings = getContributionRatings();
+    const prediction = getSchedulePrediction();
     const mergedData = eventTeams.map(team => {
       const skills = skillsData?.get(team.team) || {};
       const matchAvg = matchAverages?.get(team.team) || null;
+      const rating = ratings.get(team.team.toUpperCase()) || null;
+      const projection = prediction?.teams.get(team.team.toUpperCase()) || null;
       return {
         ...team,
         teamId: skills.teamId || null,
@@ -790,15 +1603,34 @@
         city: skills.city || team.location?.split(',')[0]?.trim() || '',
         region: skills.region || '',
         country: skills.country || '',
-        recentMatchAvg: matchAvg?.average || null,
+        recentMatchAvg: matchAvg?.average ?? null,
         recentMatchMax: matchAvg?.max || null,
         recentMatchCount: matchAvg?.matchCount || 0,
-        recentMatches: matchAvg?.matches || []
+        recentMatches: matchAvg?.matches || [],
+        recentRanking: matchAvg?.ranking || null,
+        finals: matchAvg?.finals || null,
+        finalsBest: matchAvg?.finals?.best ?? null,
+        contribution: rating?.rating ?? null,
+        contributionMatches: rating?.matches || 0,
+        partnerContribution: rating?.partnerRating ?? null,
+        projection,
+        projectedRank: projection?.projectedRank ?? null
       };
     });
 
-    // Sort data
+    // Sort data (teams without a projected rank go last)
     mergedData.sort((a, b) => {
+      if (sortColumn === 'projectedRank' && (a.projectedRank === null) !== (b.projectedRank === null)) {
+        return a.projectedRank === null ? 1 : -1;
+      }
+      if (sortColumn === 'finalsBest' && (a.finalsBest === null) !== (b.finalsBest === null)) {
+        return a.finalsBest === null ? 1 : -1;
+      }
+      // Ranking averages are ordered by their exact values (the column rounds them), then the official tiebreakers
+      if (sortColumn === 'recentMatchAvg' && a.recentRanking && b.recentRanking) {
+        const order = (b.recentRanking.exact - a.recentRanking.exact) || compareRankingTiebreak(a.recentRanking, b.recentRanking);
+        return sortDirection === 'desc' ? order : -order;
+      }
       const aVal = a[sortColumn] || 0;
       const bVal = b[sortColumn] || 0;
       if (typeof aVal === 'string') {
@@ -823,19 +1655,41 @@
 
     // Check if we should show match columns (only if API token is configured)
     const showMatchColumns = hasApiToken();
+    const showProjection = showMatchColumns && !!prediction;
 
     // Column labels depend on whether event is finalized
-    const avgLabel = eventFinalized
-      ? 'Event Avg <span class="vex-info-icon" title="Average of all matches at this event. Unlike official rankings, no low scores are dropped.">ⓘ</span>'
-      : 'Match Avg';
+    const avgName = useRankingAverage() ? 'Ranking Avg' : eventFinalized ? 'Event Avg' : 'Match Avg';
+    const avgMode = shortAverageMode();
+    const avgLabel = `${avgName}${avgMode ? ` <span class="vex-rank-range">(${avgMode})</span>` : ''} <span class="vex-info-icon" title="${escapeHtml(describeAverageMode())}">ⓘ</span>`;
     const maxLabel = eventFinalized ? 'Event Max' : 'Match Max';
+    const contributionLabel = `Contribution <span class="vex-info-icon" title="Estimated points the team adds to an alliance score, fitted by least squares over ${eventFinalized ? 'this event\'s' : 'the recent'} matches of every team here, so a strong or weak partner doesn't skew it">ⓘ</span>`;
 
     // Build table
     let html = `
       <div class="vex-event-controls">
-        <input type="text" id="vex-event-search" placeholder="Search teams..." />
+        <div class="vex-query-box">
+          <input type="text" id="vex-event-search" placeholder="Search or filter, e.g. score>=150 matchavg>40" value="${escapeHtml(searchFilter)}" title="${escapeHtml(vexQuery.describeFields(QUERY_SCHEMA))}" />
+          <div id="vex-event-search-error" class="vex-query-error"></div>
+        </div>
+        <span class="vex-saved-query-controls">
+          <select id="vex-event-saved-queries" title="Saved queries"></select>
+          <button id="vex-event-save-query" title="Save the current query">Save</button>
+          <button id="vex-event-delete-query" title="Delete the selected saved query">Delete</button>
+        </span>
         <span class="vex-event-count">${mergedData.length} teams (${teamsWithScores} with skills scores)${eventFinalized ? ' - Event Completed' : ''}</span>
+        <span class="vex-data-age">
+          ${dataAsOf ? `Data as of ${formatDataTime(dataAsOf)}` : ''}
+          <button id="vex-refresh-event-data" title="Fetch fresh data from RobotEvents, bypassing the cache" ${forceRefresh ? 'disabled' : ''}>${forceRefresh ? 'Refreshing...' : '↻ Refresh'}</button>
+        </span>
+        <span class="vex-event-export" title="Download the table: one row per team, plus the match list">
+          Export
+          <button data-export="csv">CSV</button>
+          <button data-export="json">JSON</button>
+          <button data-export="xlsx">XLSX</button>
+        </span>
+        ${showProjection ? '<button id="vex-show-predictions" title="Predicted scores for the qualification schedule and the projected rankings">Predictions</button>' : ''}
       </div>
+      ${showMatchColumns ? buildProgressBar() : ''}
       <table class="vex-event-table">
         <thead>
           <tr>
@@ -848,6 +1702,9 @@
             <th class="vex-sortable" data-sort="driver">Driver ${sortIndicator('driver')}</th>
             ${showMatchColumns ? `<th class="vex-sortable" data-sort="recentMatchAvg">${avgLabel} ${sortIndicator('recentMatchAvg')}</th>` : ''}
             ${showMatchColumns ? `<th class="vex-sortable" data-sort="recentMatchMax">${maxLabel} ${sortIndicator('recentMatchMax')}</th>` : ''}
+            ${showMatchColumns ? `<th class="vex-sortable" data-sort="finalsBest">Finals <span class="vex-info-icon" title="Best finals (elimination) score in ${eventFinalized ? 'this event\'s' : 'the recent'} matches">ⓘ</span> ${sortIndicator('finalsBest')}</th>` : ''}
+            ${showMatchColumns ? `<th class="vex-sortable" data-sort="contribution">${contributionLabel} ${sortIndicator('contribution')}</th>` : ''}
+            ${showProjection ? `<th class="vex-sortable" data-sort="projectedRank">Proj. Rank <span class="vex-info-icon" title="Projected qualification rank in the team's division, with the range of 80% of ${CONFIG.predictionSimulations} simulated schedules">ⓘ</span> ${sortIndicator('projectedRank')}</th>` : ''}
             ${showMatchColumns ? `<th>${eventFinalized ? 'Awards' : 'Season Awards'}</th>` : ''}
           </tr>
         </thead>
@@ -856,23 +1713,37 @@
 
     // Get highlighted teams for row styling
     const competitionTeams = getCompetitionTeams();
-    const highlightedTeams = getHighlightedTeams();
+    const groupMembership = getGroupMembership();
+    const registrationDiff = getRegistrationDiff();
+    const joinedTeams = new Set(registrationDiff?.added || []);
 
     mergedData.forEach((team, idx) => {
-      const searchText = `${team.team} ${team.teamName} ${team.organization}`.toLowerCase();
-      const matchTooltip = eventFinalized
+      const matchTooltip = (eventFinalized
         ? `${team.recentMatchCount} matches at this event`
-        : `${team.recentMatchCount} recent matches`;
+        : `${team.recentMatchCount} recent matches`) +
+        (team.recentRanking ? `; ${team.recentRanking.kept.length} qualification scores kept, ${team.recentRanking.dropped.length} dropped` : '');
+      const matchStatus = loadStatus.matches.get(team.team);
       const matchAvgDisplay = team.recentMatchAvg !== null
         ? `<span title="${matchTooltip}">${team.recentMatchAvg}</span>`
-        : '-';
-      const matchMaxDisplay = team.recentMatchMax !== null ? team.recentMatchMax : '-';
+        : team.recentMatchCount > 0
+          ? `<span class="vex-cell-none" title="${matchTooltip}; no qualification matches, so no ranking average">-</span>`
+          : statusCell(matchStatus, 'match data');
+      const matchMaxDisplay = team.recentMatchMax !== null ? team.recentMatchMax : statusCell(matchStatus, 'match data');
+      const finalsDisplay = team.finals
+        ? `<span title="${team.finals.count} finals match${team.finals.count === 1 ? '' : 'es'}, average ${team.finals.average}">${team.finals.best}</span>`
+        : matchStatus === 'loaded' ? '<span class="vex-cell-none" title="No finals matches">-</span>' : statusCell(matchStatus, 'match data');
+      const contributionDisplay = team.contribution !== null
+        ? `<span title="From ${team.contributionMatches} alliance scores">${team.contribution.toFixed(1)}</span>`
+        : statusCell(matchStatus, 'match data');
 
       // Build awards display (filtered by settings)
       let awardsDisplay = '-';
       if (showMatchColumns) {
         const teamAwards = filterAwards(eventAwards?.get(team.team.toUpperCase()) || []);
-        if (teamAwards.length > 0) {
+        const awardStatus = loadStatus.awards.get(team.team);
+        if (teamAwards.length === 0 && awardStatus !== 'loaded') {
+          awardsDisplay = statusCell(awardStatus, 'award data');
+        } else if (teamAwards.length > 0) {
           if (eventFinalized) {
             // For finalized events, just show trophy with award name
             awardsDisplay = teamAwards.map(award =>
@@ -890,15 +1761,13 @@
       // Determine row highlighting
       const teamUpper = team.team.toUpperCase();
       const isCompetition = competitionTeams.has(teamUpper);
-      const isHighlighted = highlightedTeams.has(teamUpper);
-      let rowClass = '';
-      if (isHighlighted) rowClass = 'vex-highlighted-row';
-      else if (isCompetition) rowClass = 'vex-competition-row';
+      const groups = groupMembership.get(teamUpper) || [];
+      const highlight = getRowHighlight(groups, isCompetition);
 
       html += `
-        <tr class="${rowClass}" data-team="${team.team}" data-search="${searchText}" data-idx="${idx}">
+        <tr class="${highlight.className}" style="${highlight.style}" data-team="${team.team}" data-idx="${idx}">
           <td>${idx + 1}</td>
-          <td class="vex-team-number">${team.team}</td>
+          <td class="vex-team-number">${team.team}${buildGroupBadges(groups, isCompetition)}${joinedTeams.has(teamUpper) ? `<span class="vex-joined-badge" title="Registered since the capture${registrationDiff.capturedAt ? ` on ${formatCaptureTime(registrationDiff.capturedAt)}` : ''}">New</span>` : ''}</td>
           <td>${team.teamName || '-'}</td>
           <td>${team.organization || '-'}</td>
           <td class="vex-score-cell">${team.score || '-'}</td>
@@ -906,6 +1775,9 @@
           <td>${team.driver || '-'}</td>
           ${showMatchColumns ? `<td>${matchAvgDisplay}</td>` : ''}
           ${showMatchColumns ? `<td>${matchMaxDisplay}</td>` : ''}
+          ${showMatchColumns ? `<td>${finalsDisplay}</td>` : ''}
+          ${showMatchColumns ? `<td>${contributionDisplay}</td>` : ''}
+          ${showProjection ? `<td>${team.projection ? `<span title="${escapeHtml(team.projection.division)}: ${team.projection.divisionSize} teams, expected average ${team.projection.expectedAverage}">${team.projection.projectedRank} <span class="vex-rank-range">(${team.projection.rankLow}–${team.projection.rankHigh})</span></span>` : '<span class="vex-cell-none" title="Not in the qualification schedule">-</span>'}</td>` : ''}
           ${showMatchColumns ? `<td class="vex-awards-cell">${awardsDisplay}</td>` : ''}
         </tr>
       `;
@@ -930,6 +1802,11 @@
       `;
     }
 
+    // Keep typing uninterrupted when the table is rebuilt under the search box
+    const searchFocus = document.activeElement?.id === 'vex-event-search'
+      ? { start: document.activeElement.selectionStart, end: document.activeElement.selectionEnd }
+      : null;
+
     container.innerHTML = html;
 
     // Store merged data for modal
@@ -937,46 +1814,176 @@
     container._allScores = allScores;
 
     // Setup search
-    document.getElementById('vex-event-search')?.addEventListener('input', (e) => {
-      const filter = e.target.value.toLowerCase().trim();
-      const rows = container.querySelectorAll('tbody tr');
-      let visibleCount = 0;
-      rows.forEach(row => {
-        const searchText = row.dataset.search || '';
-        const matches = !filter || searchText.includes(filter);
-        row.style.display = matches ? '' : 'none';
-        if (matches) visibleCount++;
-      });
-      container.querySelector('.vex-event-count').textContent =
-        filter ? `${visibleCount} of ${mergedData.length} teams` : `${mergedData.length} teams (${teamsWithScores} with skills scores)`;
+    const searchInput = document.getElementById('vex-event-search');
+    applySearch(container, mergedData, teamsWithScores);
+    if (searchInput && searchFocus) {
+      searchInput.focus();
+      searchInput.setSelectionRange(searchFocus.start, searchFocus.end);
+    }
+    searchInput?.addEventListener('input', (e) => {
+      searchFilter = e.target.value;
+      applySearch(container, mergedData, teamsWithScores);
     });
 
-    // Setup sorting
-    container.querySelectorAll('.vex-sortable').forEach(th => {
-      th.addEventListener('click', () => {
-        const col = th.dataset.sort;
-        if (sortColumn === col) {
-          sortDirection = sortDirection === 'desc' ? 'asc' : 'desc';
-        } else {
-          sortColumn = col;
-          sortDirection = col === 'team' ? 'asc' : 'desc';
-        }
-        buildEnhancedTable();
-      });
+    // Saved queries
+    document.getElementById('vex-event-saved-queries')?.addEventListener('change', (e) => {
+      const saved = getSavedQueries()[e.target.value];
+      if (!saved) return;
+      searchFilter = saved.query;
+      searchInput.value = saved.query;
+      applySearch(container, mergedData, teamsWithScores);
+    });
+    document.getElementById('vex-event-save-query')?.addEventListener('click', () => {
+      if (!searchFilter.trim() || getSearchQuery().error) return;
+      const existing = getSavedQueries().find(saved => saved.query === searchFilter);
+      const name = prompt('Name for this query:', existing?.name || searchFilter)?.trim();
+      if (!name) return;
+      setSavedQueries([...getSavedQueries().filter(saved => saved.name !== name && saved.query !== searchFilter), { name, query: searchFilter }]);
+    });
+    document.getElementById('vex-event-delete-query')?.addEventListener('click', () => {
+      setSavedQueries(getSavedQueries().filter(saved => saved.query !== searchFilter));
     });
 
-    // Setup row click for modal
-    container.querySelectorAll('tbody tr').forEach(row => {
-      row.style.cursor = 'pointer';
-      row.addEventListener('click', () => {
-        const idx = parseInt(row.dataset.idx);
-        const team = container._mergedData[idx];
-        if (team) showTeamModal(team, container._allScores);
-      });
+    // Force refresh
+    document.getElementById('vex-refresh-event-data')?.addEventListener('click', () => {
+      refreshEventData();
     });
 
-    debug('Table built with', mergedData.length, 'teams');
-  }
+    // Schedule predictions
+    document.getElementById('vex-show-predictions')?.addEventListener('click', async () => {
+      showPredictionsModal(mergedData);
+      // Scores come in through the event day, so check for newly played matches while the modal is open
+      if (await refreshEventSchedule()) {
+        buildEnhancedTable();
+        if (document.getElementById('vex-predictions-modal')) showPredictionsModal(container._mergedData);
+      }
+    });
+
+    // Export
+    container.querySelectorAll('.vex-event-export button').forEach(button => {
+      button.addEventListener('click', () => exportEventData(button.dataset.export, mergedData));
+    });
+
+    debug('Table built with', mergedData.length, 'teams');
+  }
+
+  // Sorting and team details through one listener on the table container, which outlives the rebuilds
+  // (every tableUpdateInterval while data streams in)
+  function setupTableListeners(container) {
+    container.addEventListener('click', (e) => {
+      const header = e.target.closest('th.vex-sortable');
+      if (header) {
+        const col = header.dataset.sort;
+        if (sortColumn === col) {
+          sortDirection = sortDirection === 'desc' ? 'asc' : 'desc';
+        } else {
+          sortColumn = col;
+          sortDirection = col === 'team' || col === 'projectedRank' ? 'asc' : 'desc';
+        }
+        buildEnhancedTable();
+        return;
+      }
+
+      const row = e.target.closest('.vex-event-table tbody tr');
+      const team = row ? container._mergedData[parseInt(row.dataset.idx)] : null;
+      if (team) {
+        prioritizeTeam(team.team);
+        showTeamModal(team, container._allScores);
+      }
+    });
+  }
+
+  // Team rows for export, in table order
+  function buildTeamExportRows(mergedData) {
+    return mergedData.map(team => ({
+      rank: team.rank,
+      team: team.team,
+      teamName: team.teamName || '',
+      organization: team.organization || '',
+      gradeLevel: team.gradeLevel,
+      city: team.city,
+      region: team.region,
+      country: team.country,
+      skillsScore: team.score,
+      programming: team.programming,
+      driver: team.driver,
+      matchAverage: team.recentMatchAvg,
+      matchMax: team.recentMatchMax,
+      matchCount: team.recentMatchCount,
+      finalsBest: team.finalsBest,
+      finalsCount: team.finals?.count || 0,
+      contribution: team.contribution,
+      projectedRank: team.projectedRank,
+      awards: (eventAwards?.get(team.team.toUpperCase()) || [])
+        .map(award => award.event ? `${award.name} @ ${award.event}` : award.name)
+        .join('; ')
+    }));
+  }
+
+  // One row per match per team, from each team's recent (or event) matches and finals
+  function buildMatchExportRows(mergedData) {
+    return mergedData.flatMap(team => [
+      ...team.recentMatches,
+      ...(team.finals?.matches || []).filter(match => !team.recentMatches.includes(match))
+    ].map(match => ({
+      team: team.team,
+      event: match.eventName,
+      eventCode: match.eventCode,
+      match: match.name,
+      round: match.roundType,
+      date: match.date || '',
+      alliance: match.teamAlliance.color,
+      allianceTeams: match.teamAlliance.teams.join(' / '),
+      allianceScore: match.teamAlliance.score,
+      opponent: match.opponentAlliance?.color || '',
+      opponentTeams: match.opponentAlliance?.teams.join(' / ') || '',
+      opponentScore: match.opponentAlliance?.score ?? null
+    })));
+  }
+
+  // Convert records to CSV lines (header row from the first record's keys)
+  function toCsvLines(records) {
+    if (records.length === 0) return [];
+    const columns = Object.keys(records[0]);
+    return [columns.join(','), ...records.map(record => columns.map(col => csvField(record[col])).join(','))];
+  }
+
+  // Records as header + value rows for a spreadsheet
+  function toSheetRows(records) {
+    if (records.length === 0) return [[]];
+    const columns = Object.keys(records[0]);
+    return [columns, ...records.map(record => columns.map(col => record[col]))];
+  }
+
+  // Export the merged table as CSV (Teams and Matches sections), JSON or XLSX (one sheet each)
+  function exportEventData(format, mergedData) {
+    const teams = buildTeamExportRows(mergedData);
+    const matches = buildMatchExportRows(mergedData);
+    const filename = `${getCompetitionId() || 'event'}-teams.${format}`;
+
+    if (format === 'csv') {
+      const lines = ['Teams', ...toCsvLines(teams), '', 'Matches', ...toCsvLines(matches)];
+      // Byte order mark so spreadsheet apps read team names as UTF-8
+      downloadFile(filename, '\uFEFF' + lines.join('\r\n'), 'text/csv;charset=utf-8');
+    } else if (format === 'json') {
+      const payload = {
+        event: { sku: getCompetitionId(), name: getEventName(), program: program.code, finalized: eventFinalized },
+        matchesFrom: eventFinalized ? 'event' : 'recent',
+        exportedAt: new Date().toISOString(),
+        dataAsOf: dataAsOf ? new Date(dataAsOf).toISOString() : null,
+        teams,
+        matches
+      };
+      downloadFile(filename, JSON.stringify(payload, null, 2), 'application/json');
+    } else if (format === 'xlsx') {
+      downloadFile(filename, globalThis.vexXlsx.buildWorkbook([
+        { name: 'Teams', rows: toSheetRows(teams) },
+        { name: 'Matches', rows: toSheetRows(matches) }
+      ]));
+    }
+
+    debug('Exported', teams.length, 'teams and', matches.length, 'matches as', format);
+  }
 
   // Show team modal
   function showTeamModal(team, allScores) {
@@ -989,7 +1996,7 @@
     modal.innerHTML = `
       <div class="vex-modal">
         <div class="vex-modal-header">
-          <h2><a href="https://www.robotevents.com/teams/VIQRC/${team.team}" target="_blank">${team.team} - ${team.teamName || 'Unknown'}</a></h2>
+          <h2><a href="${CONFIG.siteBaseUrl}/teams/${program.code}/${team.team}" target="_blank">${team.team} - ${team.teamName || 'Unknown'}</a></h2>
           <button class="vex-modal-close">&times;</button>
         </div>
         <div class="vex-modal-body">
@@ -1041,11 +2048,11 @@
 
           <div class="vex-modal-section">
             <h3>${eventFinalized ? 'Event Match Performance' : 'Recent Match Performance'}</h3>
-            ${team.recentMatchAvg !== null ? `
+            ${team.recentMatchCount > 0 ? `
             <div class="vex-modal-grid">
               <div class="vex-modal-item">
-                <span class="vex-modal-label">Average Score</span>
-                <span class="vex-modal-value vex-modal-score">${team.recentMatchAvg}</span>
+                <span class="vex-modal-label">${useRankingAverage() ? 'Ranking Average' : 'Average Score'}</span>
+                <span class="vex-modal-value vex-modal-score">${team.recentMatchAvg ?? '-'}</span>
               </div>
               <div class="vex-modal-item">
                 <span class="vex-modal-label">Max Score</span>
@@ -1056,9 +2063,71 @@
                 <span class="vex-modal-value">${team.recentMatchCount}</span>
               </div>
             </div>
+            <p class="vex-modal-note">${escapeHtml(describeAverageMode())}</p>
+            ${team.recentRanking ? `
+            <p class="vex-modal-note">
+              Official ranking average: ${team.recentRanking.kept.length} qualification score${team.recentRanking.kept.length === 1 ? '' : 's'} kept
+              (${team.recentRanking.kept.join(', ')})${team.recentRanking.dropped.length > 0 ? `, lowest dropped (${team.recentRanking.dropped.join(', ')})` : ', none dropped'}.
+              Practice and finals matches don't count.
+            </p>
+            ` : useRankingAverage() ? `
+            <p class="vex-modal-note">No qualification matches among these, so there is no ranking average. Check that qualification matches are included under Match Rounds in Settings.</p>
+            ` : ''}
             ` : `<p style="color: #888;">${eventFinalized ? 'No match data from this event.' : 'No recent match data available.'}</p>`}
           </div>
 
+          ${team.contribution !== null ? `
+          <div class="vex-modal-section">
+            <h3>Contribution Rating</h3>
+            <div class="vex-modal-grid">
+              <div class="vex-modal-item">
+                <span class="vex-modal-label">Contribution</span>
+                <span class="vex-modal-value vex-modal-score">${team.contribution.toFixed(1)}</span>
+              </div>
+              <div class="vex-modal-item">
+                <span class="vex-modal-label">Alliance Scores Used</span>
+                <span class="vex-modal-value">${team.contributionMatches}</span>
+              </div>
+              ${team.partnerContribution !== null ? `
+              <div class="vex-modal-item">
+                <span class="vex-modal-label">Avg Partner Contribution</span>
+                <span class="vex-modal-value">${team.partnerContribution.toFixed(1)}</span>
+              </div>
+              ` : ''}
+            </div>
+            <p class="vex-modal-note">
+              ${program.code === 'VIQRC' ? 'Each Teamwork score is shared by two teams, so the match average credits a team with its partner\'s points too.' : 'The match average credits a team with its alliance partners\' points too.'}
+              The contribution rating instead finds, by least squares, the points per team that best add up to every alliance score
+              in ${eventFinalized ? 'this event\'s' : 'the recent'} matches of all teams at this event. Teams with few matches are pulled slightly towards the average.
+            </p>
+          </div>
+          ` : ''}
+
+          ${team.projection ? `
+          <div class="vex-modal-section">
+            <h3>Qualification Schedule</h3>
+            <div class="vex-modal-grid">
+              <div class="vex-modal-item">
+                <span class="vex-modal-label">Projected Rank</span>
+                <span class="vex-modal-value vex-modal-score">${team.projection.projectedRank}</span>
+              </div>
+              <div class="vex-modal-item">
+                <span class="vex-modal-label">Likely Range</span>
+                <span class="vex-modal-value">${team.projection.rankLow}–${team.projection.rankHigh} of ${team.projection.divisionSize}</span>
+              </div>
+              <div class="vex-modal-item">
+                <span class="vex-modal-label">Expected Average</span>
+                <span class="vex-modal-value">${team.projection.expectedAverage}</span>
+              </div>
+            </div>
+            <div class="vex-match-list" style="margin-top: 12px;">
+              ${(getSchedulePrediction()?.matches || [])
+                .filter(match => match.alliances.some(alliance => alliance.teams.includes(team.team.toUpperCase())))
+                .map(renderPredictedMatch).join('')}
+            </div>
+          </div>
+          ` : ''}
+
           ${(() => {
             const teamAwards = filterAwards(eventAwards?.get(team.team.toUpperCase()) || []);
             if (teamAwards.length > 0) {
@@ -1083,28 +2152,37 @@
             return '';
           })()}
 
-          ${team.recentMatches.length > 0 ? `
+          ${(() => {
+            const history = team.recentMatches.filter(match => match.roundType !== 'finals');
+            return history.length > 0 ? `
           <div class="vex-modal-section">
             <h3>Match History</h3>
             <div class="vex-match-list">
-              ${team.recentMatches.map(match => `
-                <div class="vex-match-item">
-                  <div class="vex-match-alliances">
-                    <span class="vex-alliance-pill vex-alliance-${match.teamAlliance.color}">
-                      ${match.teamAlliance.teams.join(' & ')}
-                      <span class="vex-alliance-score">${match.teamAlliance.score}</span>
-                    </span>
-                    ${match.opponentAlliance ? `
-                    <span class="vex-vs">vs</span>
-                    <span class="vex-alliance-pill vex-alliance-${match.opponentAlliance.color}">
-                      ${match.opponentAlliance.teams.join(' & ')}
-                      <span class="vex-alliance-score">${match.opponentAlliance.score}</span>
-                    </span>
-                    ` : ''}
-                  </div>
-                  <a href="https://www.robotevents.com/robot-competitions/vex-iq-competition/${match.eventCode}.html" target="_blank" class="vex-match-name">${match.name}</a>
-                </div>
-              `).join('')}
+              ${history.map(renderPlayedMatch).join('')}
+            </div>
+          </div>
+          ` : '';
+          })()}
+
+          ${team.finals ? `
+          <div class="vex-modal-section">
+            <h3>Finals</h3>
+            <div class="vex-modal-grid">
+              <div class="vex-modal-item">
+                <span class="vex-modal-label">Best Score</span>
+                <span class="vex-modal-value vex-modal-score">${team.finals.best}</span>
+              </div>
+              <div class="vex-modal-item">
+                <span class="vex-modal-label">Average Score</span>
+                <span class="vex-modal-value">${team.finals.average}</span>
+              </div>
+              <div class="vex-modal-item">
+                <span class="vex-modal-label">Finals Matches</span>
+                <span class="vex-modal-value">${team.finals.count}</span>
+              </div>
+            </div>
+            <div class="vex-match-list" style="margin-top: 12px;">
+              ${team.finals.matches.map(renderPlayedMatch).join('')}
             </div>
           </div>
           ` : ''}
@@ -1126,7 +2204,145 @@
     });
   }
 
-  // Session-only hidden awards (not persisted)
+  // One played match from a team's match list: its alliance, the opposing one and a link to the event
+  function renderPlayedMatch(match) {
+    return `
+      <div class="vex-match-item">
+        <div class="vex-match-alliances">
+          <span class="vex-alliance-pill vex-alliance-${match.teamAlliance.color}">
+            ${match.teamAlliance.teams.join(' & ')}
+            <span class="vex-alliance-score">${match.teamAlliance.score}</span>
+          </span>
+          ${match.opponentAlliance ? `
+          <span class="vex-vs">vs</span>
+          <span class="vex-alliance-pill vex-alliance-${match.opponentAlliance.color}">
+            ${match.opponentAlliance.teams.join(' & ')}
+            <span class="vex-alliance-score">${match.opponentAlliance.score}</span>
+          </span>
+          ` : ''}
+        </div>
+        <a href="${CONFIG.siteBaseUrl}/robot-competitions/${program.slug}/${match.eventCode}.html" target="_blank" class="vex-match-name">${match.name}${match.roundType === 'practice' ? '<br><span class="vex-round-tag">Practice</span>' : ''}</a>
+      </div>
+    `;
+  }
+
+  // One scheduled match with its predicted alliance scores (or the real ones once played)
+  function renderPredictedMatch(match) {
+    const pills = match.alliances.map(alliance => {
+      const played = alliance.actual !== null;
+      const low = Math.max(0, Math.round(alliance.predicted - 1.28 * alliance.spread));
+      const high = Math.round(alliance.predicted + 1.28 * alliance.spread);
+      const title = played
+        ? 'Final score'
+        : `Predicted ${Math.round(alliance.predicted)} (80% range ${low}–${high})${alliance.estimated ? '; a team without match data counts as an average team' : ''}`;
+      return `
+        <span class="vex-alliance-pill vex-alliance-${alliance.color}" title="${title}">
+          ${alliance.teams.join(' & ')}
+          <span class="vex-alliance-score">${played ? alliance.actual : `~${Math.round(alliance.predicted)}`}</span>
+        </span>
+      `;
+    }).join('<span class="vex-vs">vs</span>');
+    const time = match.scheduled
+      ? new Date(match.scheduled).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' })
+      : '';
+
+    return `
+      <div class="vex-match-item">
+        <div class="vex-match-alliances">${pills}</div>
+        <span class="vex-match-name">${escapeHtml(match.name)}${time ? `<br>${time}` : ''}</span>
+      </div>
+    `;
+  }
+
+  // Projected qualification rankings and predicted scores for the whole schedule, by division
+  function showPredictionsModal(mergedData) {
+    const prediction = getSchedulePrediction();
+    if (!prediction) return;
+
+    const existingModal = document.getElementById('vex-predictions-modal');
+    if (existingModal) existingModal.remove();
+
+    const basis = prediction.basis === 'average' ? 'match averages' : 'contribution ratings';
+    const rankedBy = program.code === 'VIQRC' ? 'average Teamwork score' : 'win points (2 per win, 1 per tie), then average alliance score';
+    const divisions = [...new Set(prediction.matches.map(match => match.division))];
+
+    const sections = divisions.map(division => {
+      const standings = [...prediction.teams.entries()]
+        .filter(([, projection]) => projection.division === division)
+        .sort((a, b) => a[1].projectedRank - b[1].projectedRank || b[1].expectedAverage - a[1].expectedAverage);
+      const matches = prediction.matches.filter(match => match.division === division);
+
+      return `
+        <div class="vex-modal-section">
+          <h3>${escapeHtml(division)}</h3>
+          <table class="vex-prediction-table">
+            <thead>
+              <tr><th>Proj. Rank</th><th>Likely Range</th><th>Team</th><th>Expected Avg</th><th>Played</th></tr>
+            </thead>
+            <tbody>
+              ${standings.map(([team, projection]) => `
+                <tr data-team="${team}">
+                  <td>${projection.projectedRank}</td>
+                  <td>${projection.rankLow}–${projection.rankHigh}</td>
+                  <td class="vex-team-number">${team}</td>
+                  <td>${projection.expectedAverage}</td>
+                  <td>${projection.played} of ${projection.matches}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+          <div class="vex-match-list">
+            ${matches.map(renderPredictedMatch).join('')}
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    const modal = document.createElement('div');
+    modal.id = 'vex-predictions-modal';
+    modal.className = 'vex-modal-overlay';
+    modal.innerHTML = `
+      <div class="vex-modal vex-modal-wide">
+        <div class="vex-modal-header">
+          <h2>Schedule Predictions</h2>
+          <button class="vex-modal-close">&times;</button>
+        </div>
+        <div class="vex-modal-body">
+          <p class="vex-modal-note">
+            Each unplayed alliance score is predicted from the teams' ${basis}; played matches keep their real score.
+            Teams are ranked by ${rankedBy}. The likely range covers 80% of ${CONFIG.predictionSimulations} simulated
+            schedules, with each score drawn around its prediction using the spread of the teams' recent scores.
+          </p>
+          ${sections}
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    modal.querySelectorAll('.vex-prediction-table tbody tr').forEach(row => {
+      row.addEventListener('click', () => {
+        const team = mergedData.find(t => t.team.toUpperCase() === row.dataset.team);
+        if (!team) return;
+        modal.remove();
+        prioritizeTeam(team.team);
+        showTeamModal(team, document.getElementById('vex-event-table-container')?._allScores);
+      });
+    });
+
+    modal.querySelector('.vex-modal-close').addEventListener('click', () => modal.remove());
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) modal.remove();
+    });
+    document.addEventListener('keydown', function escHandler(e) {
+      if (e.key === 'Escape') {
+        modal.remove();
+        document.removeEventListener('keydown', escHandler);
+      }
+    });
+  }
+
+  // Hidden awards for this session (starts from the defaults chosen on the options page)
   let hiddenAwardNames = new Set();
 
   // Extract unique award names from eventAwards
@@ -1155,6 +2371,16 @@
     return awards.filter(award => !hiddenAwardNames.has(award.name));
   }
 
+  // Record award names so they can be offered as defaults on the options page
+  function rememberAwardNames(names) {
+    const known = new Set(settings.knownAwardNames || []);
+    const newNames = names.filter(name => !known.has(name));
+    if (newNames.length === 0) return;
+
+    settings.knownAwardNames = [...known, ...newNames].sort();
+    saveSettings('knownAwardNames');
+  }
+
   // Populate the award filter checkboxes dynamically
   function populateAwardFilter() {
     const container = document.getElementById('vex-award-filter-container');
@@ -1167,9 +2393,11 @@
       return;
     }
 
+    rememberAwardNames(awardNames);
+
     container.innerHTML = awardNames.map(name => `
       <label style="display: flex; align-items: center; gap: 4px; cursor: pointer;">
-        <input type="checkbox" name="vex-award-filter" value="${name.replace(/"/g, '&quot;')}" checked>
+        <input type="checkbox" name="vex-award-filter" value="${name.replace(/"/g, '&quot;')}" ${hiddenAwardNames.has(name) ? '' : 'checked'}>
         <span>${name}</span>
       </label>
     `).join('');
@@ -1187,50 +2415,160 @@
     });
   }
 
+  // Move settings saved by older versions in the page's localStorage into extension storage.
+  // That storage belongs to robotevents.com, so the copy (which may hold the API token) is removed.
+  async function migrateLegacySettings() {
+    const legacy = localStorage.getItem(CONFIG.legacyStorageKey);
+    if (!legacy) return;
+
+    try {
+      const parsed = JSON.parse(legacy);
+      const existing = await chrome.storage.local.get(null);
+      // Anything already in extension storage is newer than the legacy copy
+      await chrome.storage.local.set({ ...parsed, ...existing });
+      log('Migrated settings from page storage to extension storage');
+    } catch (e) {
+      console.warn('Could not migrate settings:', e);
+    }
+    localStorage.removeItem(CONFIG.legacyStorageKey);
+  }
+
   // Load existing settings
-  function loadSettings() {
+  async function loadSettings() {
     try {
-      const saved = localStorage.getItem(CONFIG.storageKey);
-      return saved ? JSON.parse(saved) : { competitionTeams: {} };
+      await migrateLegacySettings();
+      const saved = await chrome.storage.local.get(null);
+      await migrateHighlightedTeams(saved);
+      settings = { ...settings, ...saved };
     } catch (e) {
-      return { competitionTeams: {} };
+      console.warn('Could not load settings:', e);
+    }
+  }
+
+  // Show whether a token is set in the settings panel
+  function updateTokenUi(statusHtml) {
+    const hasToken = hasApiToken();
+    const openButton = document.getElementById('vex-open-options');
+    if (!openButton) return;
+
+    openButton.textContent = `${hasToken ? 'Change token' : 'Set token'} in extension options`;
+    document.getElementById('vex-clear-token').style.display = hasToken ? '' : 'none';
+    document.getElementById('vex-match-filter-section').style.display = hasToken ? '' : 'none';
+    document.getElementById('vex-token-status').innerHTML = statusHtml;
+  }
+
+  // Apply settings changed in the panel, on the options page or in another tab, without a page reload
+  function onSettingsChanged(changes, area) {
+    if (area !== 'local') return;
+
+    const changed = Object.keys(changes).filter(key =>
+      JSON.stringify(changes[key].oldValue) !== JSON.stringify(changes[key].newValue)
+    );
+    if (changed.length === 0) return;
+
+    // This page's own capture is already shown; one made or refreshed elsewhere updates the status
+    const competitionId = getCompetitionId();
+    const captureChanged = changed.includes('competitionTeams') &&
+      JSON.stringify(changes.competitionTeams.newValue?.[competitionId]) !== JSON.stringify(settings.competitionTeams?.[competitionId]);
+
+    const previousSeasonId = getSeasonId();
+    changed.forEach(key => {
+      settings[key] = changes[key].newValue;
+    });
+    debug('Settings changed:', changed);
+
+    // Award names are recorded by this script itself and don't affect the table
+    if (changed.every(key => key === 'knownAwardNames')) return;
+
+    if (captureChanged) {
+      checkExistingCapture();
+    }
+
+    if (changed.includes('hiddenAwards')) {
+      hiddenAwardNames = new Set(settings.hiddenAwards || []);
+      populateAwardFilter();
+    }
+
+    // A new token (or none) changes what can be loaded at all
+    if (changed.includes('apiToken')) {
+      updateTokenUi(hasApiToken()
+        ? '<span style="color: green;">Token saved</span>'
+        : '<span style="color: #888;">Token cleared.</span>');
+
+      if (hasApiToken()) {
+        if (eventTeams.length > 0) reloadEventData();
+      } else {
+        loadController.abort();
+        buildEnhancedTable();
+      }
+      return;
+    }
+
+    // A different season means different data for every team
+    if (getSeasonId() !== previousSeasonId) {
+      resetTeamData();
+      if (eventTeams.length > 0) reloadEventData();
+      return;
+    }
+
+    // The match history filter only needs the averages recomputed from the matches already loaded
+    const averageKeys = ['matchFilterType', 'matchFilterDate', 'matchFilterCount', 'matchRounds', 'matchAverageMode',
+      'rankingDrops', 'decayHalfLifeDays', 'trimPercent', 'bestOfN', 'bestOfM'];
+    if (changed.some(key => averageKeys.includes(key))) {
+      recomputeMatchAverages();
     }
+
+    buildEnhancedTable();
   }
 
-  // Get competition teams from all saved competitions
+  // Get competition teams from all saved competitions in this page's program
+  // (older captures have no program and are VIQRC)
   function getCompetitionTeams() {
-    const settings = loadSettings();
     const teams = new Set();
     Object.values(settings.competitionTeams || {}).forEach(comp => {
-      if (comp.teams) {
+      if (comp.teams && (comp.program || 'VIQRC') === program.code) {
         comp.teams.forEach(team => teams.add(team.toUpperCase()));
       }
     });
     return teams;
   }
 
-  // Get manually highlighted teams
-  function getHighlightedTeams() {
-    const settings = loadSettings();
-    return new Set((settings.highlightedTeams || []).map(t => t.toUpperCase()));
-  }
-
-  // Save settings
-  function saveSettings(settings) {
+  // Save the named settings to extension storage (only those keys, so other tabs' changes are kept)
+  async function saveSettings(...keys) {
     try {
-      localStorage.setItem(CONFIG.storageKey, JSON.stringify(settings));
+      const changes = {};
+      keys.forEach(key => changes[key] = settings[key]);
+      await chrome.storage.local.set(changes);
     } catch (e) {
       console.warn('Could not save settings:', e);
     }
   }
 
+  // Build <option> elements for the season picker
+  function buildSeasonOptions(selectedId) {
+    const skillsPageId = settings.seasonIds?.[program.code];
+    const autoId = eventSeasonId || skillsPageId || currentSeasonId;
+    const autoSeason = seasons.find(s => s.id === autoId);
+    const autoLabel = eventSeasonId ? 'Event season' : skillsPageId ? 'Skills page season' : 'Current season';
+    const options = [`<option value="">${autoLabel}${autoSeason ? ` (${autoSeason.name})` : ''}</option>`];
+
+    seasons.forEach(season => {
+      options.push(`<option value="${season.id}" ${season.id === selectedId ? 'selected' : ''}>${season.name}</option>`);
+    });
+
+    // Keep a past selection visible even if the season list could not be loaded
+    if (selectedId && !seasons.some(s => s.id === selectedId)) {
+      options.push(`<option value="${selectedId}" selected>Season ${selectedId}</option>`);
+    }
+
+    return options.join('');
+  }
+
   // Create the capture button and settings panel
   function createCaptureButton() {
     const competitionId = getCompetitionId();
     if (!competitionId) return;
 
-    const settings = loadSettings();
-
     const hasToken = !!(settings.apiToken && settings.apiToken.trim());
 
     const button = document.createElement('div');
@@ -1245,11 +2583,18 @@
       <div id="vex-settings-panel" style="display: none; margin-top: 8px; padding: 12px; background: white; border-radius: 6px; box-shadow: 0 2px 8px rgba(0,0,0,0.1);">
         <label style="display: block; font-size: 12px; color: #333; margin-bottom: 4px;">RobotEvents API Token:</label>
         <div style="display: flex; gap: 4px;">
-          <input type="password" id="vex-api-token" placeholder="${hasToken ? '••••••••••••••••' : 'Enter API token'}" value="" style="flex: 1; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 12px; box-sizing: border-box;">
+          <button id="vex-open-options" style="flex: 1; padding: 6px 10px; background: #f5f5f5; border: 1px solid #ddd; border-radius: 4px; font-size: 11px; cursor: pointer;">${hasToken ? 'Change token' : 'Set token'} in extension options</button>
           <button id="vex-clear-token" style="padding: 6px 10px; background: #f5f5f5; border: 1px solid #ddd; border-radius: 4px; font-size: 11px; cursor: pointer; ${hasToken ? '' : 'display: none;'}">Clear</button>
         </div>
         <div id="vex-token-status" style="margin-top: 4px; font-size: 11px;">${hasToken ? '<span style="color: green;">Token saved</span>' : ''}</div>
-        <p style="margin-top: 8px; font-size: 11px; color: #888;">Get your token from <a href="https://www.robotevents.com/api/v2" target="_blank" style="color: #c41230;">robotevents.com/api/v2</a></p>
+        <p style="margin-top: 8px; font-size: 11px; color: #888;">The token is kept in extension storage, out of reach of scripts on this site.</p>
+
+        <hr style="margin: 12px 0; border: none; border-top: 1px solid #eee;">
+
+        <label style="display: block; font-size: 12px; color: #333; margin-bottom: 4px; font-weight: 600;">Season:</label>
+        <select id="vex-season-select" style="width: 100%; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 12px; box-sizing: border-box;">
+          ${buildSeasonOptions(settings.eventSeasonIds?.[program.code])}
+        </select>
 
         <div id="vex-match-filter-section" style="${hasToken ? '' : 'display: none;'}">
           <hr style="margin: 12px 0; border: none; border-top: 1px solid #eee;">
@@ -1275,6 +2620,69 @@
 
           <hr style="margin: 12px 0; border: none; border-top: 1px solid #eee;">
 
+          <label style="display: block; font-size: 12px; color: #333; margin-bottom: 8px; font-weight: 600;">Matches in Averages:</label>
+          <div style="display: flex; flex-direction: column; gap: 8px;">
+            ${[['practice', 'Practice'], ['qualification', 'Qualification'], ['finals', 'Finals']].map(([type, label]) => `
+            <label style="display: flex; align-items: center; gap: 8px; font-size: 12px; cursor: pointer;">
+              <input type="checkbox" name="vex-match-round" value="${type}" ${getIncludedRounds()[type] ? 'checked' : ''}>
+              <span>${label}</span>
+            </label>
+            `).join('')}
+          </div>
+
+          <hr style="margin: 12px 0; border: none; border-top: 1px solid #eee;">
+
+          <label style="display: block; font-size: 12px; color: #333; margin-bottom: 8px; font-weight: 600;">Match Average:</label>
+          <div style="display: flex; flex-direction: column; gap: 8px;">
+            <label style="display: flex; align-items: center; gap: 8px; font-size: 12px; cursor: pointer;">
+              <input type="radio" name="vex-average-mode" value="mean" ${(settings.matchAverageMode || 'mean') === 'mean' ? 'checked' : ''}>
+              <span>Average of all matches</span>
+            </label>
+            <label style="display: ${program.code === 'VIQRC' ? 'flex' : 'none'}; align-items: center; gap: 8px; font-size: 12px; cursor: pointer;">
+              <input type="radio" name="vex-average-mode" value="ranking" ${settings.matchAverageMode === 'ranking' ? 'checked' : ''}>
+              <span>Official ranking average</span>
+            </label>
+            <label style="display: flex; align-items: center; gap: 8px; font-size: 12px; cursor: pointer;">
+              <input type="radio" name="vex-average-mode" value="decay" ${settings.matchAverageMode === 'decay' ? 'checked' : ''}>
+              <span>Recent count more, half-life</span>
+              <input type="number" id="vex-decay-half-life" value="${getAverageMode().halfLife}" min="1" max="365" style="width: 50px; padding: 4px; border: 1px solid #ddd; border-radius: 4px; font-size: 11px;">
+              <span>days</span>
+            </label>
+            <label style="display: flex; align-items: center; gap: 8px; font-size: 12px; cursor: pointer;">
+              <input type="radio" name="vex-average-mode" value="median" ${settings.matchAverageMode === 'median' ? 'checked' : ''}>
+              <span>Median</span>
+            </label>
+            <label style="display: flex; align-items: center; gap: 8px; font-size: 12px; cursor: pointer;">
+              <input type="radio" name="vex-average-mode" value="trimmed" ${settings.matchAverageMode === 'trimmed' ? 'checked' : ''}>
+              <span>Trimmed, leave out</span>
+              <input type="number" id="vex-trim-percent" value="${getAverageMode().trim}" min="0" max="45" style="width: 50px; padding: 4px; border: 1px solid #ddd; border-radius: 4px; font-size: 11px;">
+              <span>% at each end</span>
+            </label>
+            <label style="display: flex; align-items: center; gap: 8px; font-size: 12px; cursor: pointer;">
+              <input type="radio" name="vex-average-mode" value="best" ${settings.matchAverageMode === 'best' ? 'checked' : ''}>
+              <span>Best</span>
+              <input type="number" id="vex-best-of-n" value="${getAverageMode().bestOf}" min="1" max="50" style="width: 45px; padding: 4px; border: 1px solid #ddd; border-radius: 4px; font-size: 11px;">
+              <span>of last</span>
+              <input type="number" id="vex-best-of-m" value="${getAverageMode().bestFrom}" min="1" max="100" style="width: 45px; padding: 4px; border: 1px solid #ddd; border-radius: 4px; font-size: 11px;">
+            </label>
+          </div>
+
+          <hr style="margin: 12px 0; border: none; border-top: 1px solid #eee;">
+
+          <label style="display: block; font-size: 12px; color: #333; margin-bottom: 8px; font-weight: 600;">Predict Schedule Scores From:</label>
+          <div style="display: flex; flex-direction: column; gap: 8px;">
+            <label style="display: flex; align-items: center; gap: 8px; font-size: 12px; cursor: pointer;">
+              <input type="radio" name="vex-prediction-basis" value="contribution" ${(settings.predictionBasis || 'contribution') === 'contribution' ? 'checked' : ''}>
+              <span>Contribution ratings</span>
+            </label>
+            <label style="display: flex; align-items: center; gap: 8px; font-size: 12px; cursor: pointer;">
+              <input type="radio" name="vex-prediction-basis" value="average" ${settings.predictionBasis === 'average' ? 'checked' : ''}>
+              <span>Match averages</span>
+            </label>
+          </div>
+
+          <hr style="margin: 12px 0; border: none; border-top: 1px solid #eee;">
+
           <label style="display: block; font-size: 12px; color: #333; margin-bottom: 8px; font-weight: 600;">Awards to Display:</label>
           <div id="vex-award-filter-container" style="display: flex; flex-direction: column; gap: 4px; font-size: 11px; max-height: 150px; overflow-y: auto;">
             <span style="color: #888; font-style: italic;">Loading awards...</span>
@@ -1297,67 +2705,50 @@
       panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
     });
 
+    // Token is entered on the extension options page (content scripts cannot open it themselves)
+    document.getElementById('vex-open-options').addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'open-options' });
+    });
+
     // Save all settings
     document.getElementById('vex-save-settings').addEventListener('click', () => {
-      const settings = loadSettings();
-
-      // API Token - only update if a new value was entered
-      const tokenInput = document.getElementById('vex-api-token');
-      const newToken = tokenInput.value.trim();
-      if (newToken) {
-        settings.apiToken = newToken;
-      }
-
       // Match filter settings
       const filterType = document.querySelector('input[name="vex-match-filter"]:checked')?.value || 'since_date';
       settings.matchFilterType = filterType;
       settings.matchFilterDate = document.getElementById('vex-filter-date').value;
       settings.matchFilterCount = parseInt(document.getElementById('vex-filter-count').value) || 5;
+      settings.predictionBasis = document.querySelector('input[name="vex-prediction-basis"]:checked')?.value || 'contribution';
+      settings.matchAverageMode = document.querySelector('input[name="vex-average-mode"]:checked')?.value || 'mean';
+      settings.decayHalfLifeDays = Math.max(1, parseInt(document.getElementById('vex-decay-half-life').value, 10) || 30);
+      settings.trimPercent = Math.min(45, Math.max(0, parseInt(document.getElementById('vex-trim-percent').value, 10) || 0));
+      settings.bestOfN = Math.max(1, parseInt(document.getElementById('vex-best-of-n').value, 10) || 5);
+      settings.bestOfM = Math.max(settings.bestOfN, parseInt(document.getElementById('vex-best-of-m').value, 10) || 10);
+      settings.matchRounds = Object.fromEntries(
+        Array.from(document.querySelectorAll('input[name="vex-match-round"]')).map(checkbox => [checkbox.value, checkbox.checked])
+      );
+
+      // Season (empty = follow the event / current season). Kept apart from the skills page's pick,
+      // which must not override an event's own season
+      const seasonValue = document.getElementById('vex-season-select').value;
+      settings.eventSeasonIds = { ...settings.eventSeasonIds };
+      if (seasonValue) {
+        settings.eventSeasonIds[program.code] = parseInt(seasonValue, 10);
+      } else {
+        delete settings.eventSeasonIds[program.code];
+      }
 
-      saveSettings(settings);
+      // The storage change listener applies the new settings to the table
+      saveSettings('matchFilterType', 'matchFilterDate', 'matchFilterCount', 'matchRounds', 'matchAverageMode',
+        'decayHalfLifeDays', 'trimPercent', 'bestOfN', 'bestOfM', 'predictionBasis', 'eventSeasonIds');
 
-      // Update UI to reflect saved state
-      const hasToken = !!(settings.apiToken && settings.apiToken.trim());
       const tokenStatus = document.getElementById('vex-token-status');
-      const matchFilterSection = document.getElementById('vex-match-filter-section');
-
-      tokenStatus.innerHTML = '<span style="color: green;">✓ Settings saved! Reload page to apply changes.</span>';
-      tokenInput.value = '';
-      tokenInput.placeholder = hasToken ? '••••••••••••••••' : 'Enter API token';
-
-      if (matchFilterSection) {
-        matchFilterSection.style.display = hasToken ? '' : 'none';
-      }
-
-      // Update clear button visibility
-      const clearButton = document.getElementById('vex-clear-token');
-      if (clearButton) {
-        clearButton.style.display = hasToken ? '' : 'none';
-      }
+      tokenStatus.innerHTML = '<span style="color: green;">✓ Settings saved!</span>';
     });
 
-    // Clear token button
+    // Clear token button (the storage change listener updates the panel and table)
     document.getElementById('vex-clear-token')?.addEventListener('click', () => {
-      const settings = loadSettings();
       settings.apiToken = '';
-      saveSettings(settings);
-
-      // Update UI
-      const tokenInput = document.getElementById('vex-api-token');
-      const tokenStatus = document.getElementById('vex-token-status');
-      const matchFilterSection = document.getElementById('vex-match-filter-section');
-      const clearButton = document.getElementById('vex-clear-token');
-
-      tokenInput.value = '';
-      tokenInput.placeholder = 'Enter API token';
-      tokenStatus.innerHTML = '<span style="color: #888;">Token cleared. Reload page to apply changes.</span>';
-
-      if (matchFilterSection) {
-        matchFilterSection.style.display = 'none';
-      }
-      if (clearButton) {
-        clearButton.style.display = 'none';
-      }
+      saveSettings('apiToken');
     });
 
     // Populate award filter with any awards already loaded
@@ -1383,22 +2774,31 @@
       return;
     }
 
-    // Save to storage
-    const settings = loadSettings();
+    // Save to storage, with the event details when the teams came from the API
+    // (and the registration changes since the previous capture)
     settings.competitionTeams = settings.competitionTeams || {};
-    settings.competitionTeams[competitionId] = {
+    const previous = settings.competitionTeams[competitionId];
+    const capture = mergeCaptureHistory(previous, {
+      ...eventCapture,
       teams: teams,
-      name: eventName,
+      program: program.code,
+      name: eventCapture?.name || eventName,
       capacity: capacity,
+      source: eventCapture ? 'api' : 'page',
       fetchedAt: new Date().toISOString()
-    };
+    });
+    settings.competitionTeams[competitionId] = capture;
 
-    saveSettings(settings);
+    saveSettings('competitionTeams');
+
+    const change = getCaptureChange(capture);
+    const changeText = change ? summarizeRegistrationChange(change) : '';
 
     status.innerHTML = `
       <span class="vex-success">
         ✓ Captured ${teams.length} teams from "${eventName}"!<br>
-        <small>Go to the <a href="https://www.robotevents.com/robot-competitions/vex-iq-competition/standings/skills" target="_blank">Skills Standings page</a> to see them highlighted.</small>
+        ${changeText ? `<small>${changeText} since ${previous?.fetchedAt ? formatCaptureTime(previous.fetchedAt) : 'the last capture'}</small><br>` : ''}
+        <small>Go to the <a href="${CONFIG.siteBaseUrl}/robot-competitions/${program.slug}/standings/skills" target="_blank">Skills Standings page</a> to see them highlighted.</small>
       </span>
     `;
 
@@ -1406,12 +2806,62 @@
     document.querySelector('.vex-capture-text').textContent = `Update Teams (${teams.length} captured)`;
   }
 
+  // Capture time for display, e.g. 'Oct 3, 4:15 PM'
+  function formatCaptureTime(value) {
+    return new Date(value).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+  }
+
+  // Teams that joined or withdrew since this event was last captured (null if it never was)
+  function getRegistrationDiff() {
+    const stored = settings.competitionTeams?.[getCompetitionId()];
+    if (!stored?.teams || eventTeams.length === 0) return null;
+
+    const captured = new Set(stored.teams.map(team => team.toUpperCase()));
+    const current = new Set(eventTeams.map(team => team.team.toUpperCase()));
+    return {
+      added: [...current].filter(team => !captured.has(team)),
+      removed: [...captured].filter(team => !current.has(team)),
+      capturedAt: stored.fetchedAt || null
+    };
+  }
+
+  // Registration changes for the capture status: live changes since the capture, then the recorded ones
+  function describeRegistrationChanges(stored) {
+    const diff = getRegistrationDiff();
+    const lines = [];
+
+    if (diff && (diff.added.length > 0 || diff.removed.length > 0)) {
+      lines.push('<strong>Since the last capture:</strong>');
+      if (diff.added.length > 0) lines.push(`<span class="vex-history-added">+ Joined: ${diff.added.join(', ')}</span>`);
+      if (diff.removed.length > 0) lines.push(`<span class="vex-history-removed">− Withdrew: ${diff.removed.join(', ')}</span>`);
+      lines.push('<small>Click "Update Teams" to record these changes.</small>');
+    } else if (diff) {
+      lines.push('<small>No registration changes since the last capture.</small>');
+    }
+
+    const history = stored.history || [];
+    if (history.length > 0) {
+      lines.push(`
+        <details class="vex-capture-history">
+          <summary>Recorded changes (${history.length})</summary>
+          ${[...history].reverse().map(entry => `
+            <div><strong>${formatCaptureTime(entry.at)}</strong>
+              ${entry.added.length > 0 ? `<div class="vex-history-added">+ ${entry.added.join(', ')}</div>` : ''}
+              ${entry.removed.length > 0 ? `<div class="vex-history-removed">− ${entry.removed.join(', ')}</div>` : ''}
+            </div>
+          `).join('')}
+        </details>
+      `);
+    }
+
+    return lines.join('<br>');
+  }
+
   // Check if teams are already captured for this event
   function checkExistingCapture() {
     const competitionId = getCompetitionId();
     if (!competitionId) return;
 
-    const settings = loadSettings();
     const existing = settings.competitionTeams?.[competitionId];
 
     if (existing && existing.teams?.length > 0) {
@@ -1419,7 +2869,8 @@
       const captureText = document.querySelector('.vex-capture-text');
 
       if (status) {
-        status.innerHTML = `<span class="vex-info">Previously captured ${existing.teams.length} teams</span>`;
+        const capturedAt = existing.fetchedAt ? ` on ${formatCaptureTime(existing.fetchedAt)}` : '';
+        status.innerHTML = `<span class="vex-info">Previously captured ${existing.teams.length} teams${capturedAt}</span><br>${describeRegistrationChanges(existing)}`;
       }
       if (captureText) {
         captureText.textContent = `Update Teams (${existing.teams.length} captured)`;
@@ -1427,109 +2878,206 @@
     }
   }
 
-  // Initialize
-  async function init() {
-    log('loaded');
+  // Fetch skills, match and award data for the event's teams and build the table
+  async function loadEventData() {
+    const competitionId = getCompetitionId();
+    const signal = loadController.signal;  // Aborted if a newer load replaces this one
+    let eventId = null;
+    let eventDivisions = [];
 
-    // Log current settings on init
-    const initSettings = loadSettings();
-    debug('Initial settings - hiddenAwards:', initSettings.hiddenAwards);
+    // A refresh starts from scratch; otherwise only what is missing gets fetched
+    if (forceRefresh) {
+      resetTeamData();
+    }
 
-    try {
-      // Wait for the page to fully load (including dynamic content)
-      await new Promise(resolve => setTimeout(resolve, 2000));
+    // Match and award columns show as loading until each team's data arrives
+    if (hasApiToken()) {
+      eventTeams.forEach(team => {
+        ['matches', 'awards'].forEach(column => {
+          if (loadStatus[column].get(team.team) !== 'loaded') {
+            loadStatus[column].set(team.team, 'pending');
+          }
+        });
+      });
+    }
 
-      // Extract teams from the page
-      eventTeams = extractTeams();
-      debug('Found', eventTeams.length, 'teams on page');
+    // Fetch event info from API to get ID and finalization status
+    if (hasApiToken()) {
+      try {
+        const eventInfo = await fetchEventInfo(competitionId);
+        if (eventInfo) {
+          eventId = eventInfo.id;
+          eventDivisions = eventInfo.divisions;
+          eventFinalized = eventInfo.finalized;
+          eventSeasonId = eventInfo.seasonId;
+          debug('Event finalized:', eventFinalized, 'Event ID:', eventId, 'Season:', eventSeasonId);
+        }
+      } catch (err) {
+        error('Failed to fetch event info:', err);
+      }
 
-      if (eventTeams.length > 0) {
-        const competitionId = getCompetitionId();
-        let eventId = null;
+      await fetchSeasons();
+      if (signal.aborted) return;
+    }
 
-        // Fetch event info from API to get ID and finalization status
-        if (hasApiToken()) {
-          try {
-            const eventInfo = await fetchEventInfo(competitionId);
-            if (eventInfo) {
-              eventId = eventInfo.id;
-              eventFinalized = eventInfo.finalized;
-              debug('Event finalized:', eventFinalized, 'Event ID:', eventId);
-            }
-          } catch (err) {
-            error('Failed to fetch event info:', err);
-          }
-        }
+    // For finalized events, fetch event-specific data
+    // Otherwise, fetch global skills data
+    if (eventFinalized && eventId) {
+      try {
+        debug('Fetching event-specific skills for event ID:', eventId);
+        await fetchEventSkillsData(eventId);
+      } catch (err) {
+        error('Failed to fetch event-specific skills:', err);
+        await fetchSkillsData(); // Fallback to global
+      }
 
-        // For finalized events, fetch event-specific data
-        // Otherwise, fetch global skills data
-        if (eventFinalized && eventId) {
-          try {
-            debug('Fetching event-specific skills for event ID:', eventId);
-            await fetchEventSkillsData(eventId);
-          } catch (err) {
-            error('Failed to fetch event-specific skills:', err);
-            await fetchSkillsData(); // Fallback to global
-          }
+      // Also fetch awards for finalized events
+      try {
+        debug('Fetching event awards for event ID:', eventId);
+        const loaded = await fetchEventAwards(eventId);
+        setAllLoadStatus('awards', loaded ? 'loaded' : 'failed');
+      } catch (err) {
+        error('Failed to fetch event awards:', err);
+        setAllLoadStatus('awards', 'failed');
+      }
+    } else {
+      // Fetch global skills data for upcoming events or when no token
+      try {
+        await fetchSkillsData();
+      } catch (err) {
+        error('Failed to fetch skills data:', err);
+      }
+    }
 
-          // Also fetch awards for finalized events
-          try {
-            debug('Fetching event awards for event ID:', eventId);
-            await fetchEventAwards(eventId);
-          } catch (err) {
-            error('Failed to fetch event awards:', err);
-          }
-        } else {
-          // Fetch global skills data for upcoming events or when no token
-          try {
-            await fetchSkillsData();
-          } catch (err) {
-            error('Failed to fetch skills data:', err);
-          }
-        }
+    if (signal.aborted) return;
 
-        // Build initial table (without match averages)
+    // Build initial table (without match averages)
+    buildEnhancedTable();
+
+    // Fetch match averages (and season awards) in the background; rows fill in as each team's data arrives
+    // Only attempt if API token is configured
+    if (hasApiToken()) {
+      try {
+        // Fetch team IDs for all teams in one API call
+        const teamNumbers = eventTeams.map(t => t.team);
+        debug('Fetching team IDs for', teamNumbers.length, 'teams');
+        const teamIdMap = await fetchTeamIds(teamNumbers);
+        if (signal.aborted) return;
+
+        const teamsWithIds = eventTeams.map(team => ({
+          team: team.team,
+          teamId: teamIdMap.get(team.team) || null
+        })).filter(t => t.teamId);
+
+        debug('Teams with IDs:', teamsWithIds.length, 'of', eventTeams.length);
+
+        // Teams the API doesn't know have no match or season award data to load
+        // (if no team was found at all, the lookup itself failed)
+        const missingStatus = teamIdMap.size === 0 ? 'failed' : 'none';
+        eventTeams.forEach(team => {
+          if (!teamIdMap.get(team.team)) {
+            loadStatus.matches.set(team.team, missingStatus);
+            if (!eventFinalized) loadStatus.awards.set(team.team, missingStatus);
+          }
+        });
         buildEnhancedTable();
 
-        // Fetch match averages in the background and rebuild table when done
-        // Only attempt if API token is configured
-        if (hasApiToken()) {
-          try {
-            // Fetch team IDs for all teams in one API call
-            const teamNumbers = eventTeams.map(t => t.team);
-            debug('Fetching team IDs for', teamNumbers.length, 'teams');
-            const teamIdMap = await fetchTeamIds(teamNumbers);
-
-            const teamsWithIds = eventTeams.map(team => ({
-              team: team.team,
-              teamId: teamIdMap.get(team.team) || null
-            })).filter(t => t.teamId);
-
-            debug('Teams with IDs:', teamsWithIds.length, 'of', eventTeams.length);
-
-            // If event is finalized, only fetch matches from this event
-            // Otherwise, fetch recent matches based on settings
-            const eventCodeFilter = eventFinalized ? competitionId : null;
-            debug('Fetching match data for', teamsWithIds.length, 'teams...', eventCodeFilter ? `(event: ${eventCodeFilter})` : '(recent)');
-            matchAverages = await fetchAllMatchAverages(teamsWithIds, eventCodeFilter);
-            debug('Got match averages for', matchAverages.size, 'teams');
-
-            // For non-finalized events, fetch season awards for all teams
-            if (!eventFinalized) {
-              debug('Fetching season awards for', teamsWithIds.length, 'teams...');
-              await fetchAllSeasonAwards(teamsWithIds);
+        // If event is finalized, only matches from this event count
+        // Otherwise, recent matches based on settings
+        const eventCodeFilter = getMatchEventFilter();
+        debug('Fetching match data for', teamsWithIds.length, 'teams...', eventCodeFilter ? `(event: ${eventCodeFilter})` : '(recent)');
+
+        // For non-finalized events, fetch season awards and the qualification schedule at the same time
+        await Promise.all([
+          fetchAllMatchAverages(teamsWithIds),
+          eventFinalized ? null : fetchAllSeasonAwards(teamsWithIds),
+          eventFinalized ? null : fetchEventSchedule(eventId, eventDivisions).then(schedule => {
+            if (signal.aborted) return;
+            scheduleSource = { eventId, divisions: eventDivisions };
+            if (JSON.stringify(schedule) !== JSON.stringify(eventSchedule)) {
+              eventSchedule = schedule;
+              schedulePrediction = null;
             }
+          })
+        ]);
+        if (signal.aborted) return;
+        debug('Got match averages for', matchAverages.size, 'teams');
 
-            // Rebuild table with match averages and awards
-            buildEnhancedTable();
+        // Final rebuild with everything loaded
+        buildEnhancedTable();
 
-            // Re-populate award filter now that all awards are loaded
-            populateAwardFilter();
-          } catch (err) {
-            error('Failed to fetch match averages:', err);
-            // Table is already built without match data, so continue
-          }
+        // Re-populate award filter now that all awards are loaded
+        populateAwardFilter();
+      } catch (err) {
+        error('Failed to fetch match averages:', err);
+        // Table is already built without match data, so mark whatever is still loading as failed
+        ['matches', 'awards'].forEach(column => {
+          loadStatus[column].forEach((status, team) => {
+            if (status === 'pending') loadStatus[column].set(team, 'failed');
+          });
+        });
+        buildEnhancedTable();
+      }
+    }
+  }
+
+  // Cancel any load in progress and start over; force bypasses the cache
+  async function reloadEventData({ force = false } = {}) {
+    loadController.abort();
+    const controller = loadController = new AbortController();
+
+    forceRefresh = force;
+    dataAsOf = null;
+    buildEnhancedTable();
+    try {
+      await loadEventData();
+    } finally {
+      // A newer reload may have taken over in the meantime
+      if (controller === loadController) {
+        forceRefresh = false;
+        buildEnhancedTable();
+      }
+    }
+  }
+
+  // Fetch everything again, bypassing the cache
+  function refreshEventData() {
+    return reloadEventData({ force: true });
+  }
+
+  // Initialize
+  async function init() {
+    log('loaded');
+
+    await loadSettings();
+
+    // Awards hidden on the options page start hidden (can still be toggled for this session)
+    hiddenAwardNames = new Set(settings.hiddenAwards || []);
+    debug('Initial settings - hiddenAwards:', settings.hiddenAwards);
+
+    chrome.storage.onChanged.addListener(onSettingsChanged);
+
+    try {
+      // Load teams from the API while waiting for the page to fully load (including dynamic content)
+      const [apiTeams] = await Promise.all([
+        fetchEventTeams(getCompetitionId()),
+        new Promise(resolve => setTimeout(resolve, 2000))
+      ]);
+
+      // Without a token (or if the API fails), extract teams from the page
+      eventTeams = apiTeams?.length > 0 ? apiTeams : extractTeams();
+      debug('Found', eventTeams.length, 'teams', apiTeams?.length > 0 ? 'from the API' : 'on page');
+
+      // Stop outstanding requests when the user leaves; resume if the page comes back from the back/forward cache
+      window.addEventListener('pagehide', () => loadController.abort());
+      window.addEventListener('pageshow', (e) => {
+        if (e.persisted && loadController.signal.aborted && eventTeams.length > 0) {
+          reloadEventData();
         }
+      });
+
+      if (eventTeams.length > 0) {
+        await loadEventData();
       }
     } catch (err) {
       error('Error during initialization:', err);
@@ -0,0 +1,159 @@
+// VIQRC Enhanced - Options Page
+// Edits the settings shared by the skills page and event page scripts
+(function() {
+  'use strict';
+
+  let settings = {
+    apiToken: '',
+    matchFilterType: 'since_date',
+    matchFilterDate: '',
+    matchFilterCount: 5,
+    matchRounds: {},
+    matchAverageMode: 'mean',
+    decayHalfLifeDays: 30,
+    trimPercent: 10,
+    bestOfN: 5,
+    bestOfM: 10,
+    rankingDrops: [],
+    autoRefreshHours: 24,
+    hiddenAwards: [],
+    knownAwardNames: []
+  };
+
+  // Get default filter date (2 months ago)
+  function getDefaultFilterDate() {
+    const date = new Date();
+    date.setMonth(date.getMonth() - 2);
+    return date.toISOString().split('T')[0];
+  }
+
+  // Show whether a token is stored (the token itself is never shown)
+  function renderTokenStatus() {
+    const hasToken = !!(settings.apiToken && settings.apiToken.trim());
+    document.getElementById('api-token').placeholder = hasToken ? '••••••••••••••••' : 'Enter API token';
+    document.getElementById('clear-token').style.display = hasToken ? '' : 'none';
+    document.getElementById('token-status').innerHTML = hasToken ? '<span class="success">Token saved</span>' : '';
+  }
+
+  // Render award checkboxes (checked = shown)
+  function renderAwards() {
+    const list = document.getElementById('award-list');
+    const hidden = new Set(settings.hiddenAwards || []);
+    const names = [...new Set([...(settings.knownAwardNames || []), ...hidden])].sort();
+
+    if (names.length === 0) {
+      list.innerHTML = '<em>No awards seen yet</em>';
+      return;
+    }
+
+    // Award names come from the API, so they are set as text rather than HTML
+    list.replaceChildren(...names.map(name => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.name = 'award';
+      checkbox.value = name;
+      checkbox.checked = !hidden.has(name);
+      const text = document.createElement('span');
+      text.textContent = name;
+      label.append(checkbox, ' ', text);
+      return label;
+    }));
+  }
+
+  // Drop table as "matches:dropped" pairs, e.g. "4:1, 8:2"
+  function formatRankingDrops(drops) {
+    return (drops || []).map(row => `${row.matches}:${row.drop}`).join(', ');
+  }
+
+  function parseRankingDrops(text) {
+    return text.split(',')
+      .map(pair => pair.split(':').map(value => parseInt(value, 10)))
+      .filter(([matches, drop]) => matches > 0 && drop >= 0)
+      .map(([matches, drop]) => ({ matches, drop }))
+      .sort((a, b) => a.matches - b.matches);
+  }
+
+  // Fill the form from storage
+  function render() {
+    renderTokenStatus();
+
+    const filterType = settings.matchFilterType || 'since_date';
+    const radio = document.querySelector(`input[name="match-filter"][value="${filterType}"]`);
+    if (radio) radio.checked = true;
+    document.getElementById('filter-date').value = settings.matchFilterDate || getDefaultFilterDate();
+    document.getElementById('filter-count').value = settings.matchFilterCount || 5;
+    document.querySelectorAll('input[name="match-round"]').forEach(checkbox => {
+      checkbox.checked = settings.matchRounds?.[checkbox.value] !== false;
+    });
+    const averageRadio = document.querySelector(`input[name="average-mode"][value="${settings.matchAverageMode || 'mean'}"]`) ||
+      document.querySelector('input[name="average-mode"][value="mean"]');
+    averageRadio.checked = true;
+    document.getElementById('decay-half-life').value = settings.decayHalfLifeDays || 30;
+    document.getElementById('trim-percent').value = settings.trimPercent ?? 10;
+    document.getElementById('best-of-n').value = settings.bestOfN || 5;
+    document.getElementById('best-of-m').value = settings.bestOfM || 10;
+    document.getElementById('ranking-drops').value = formatRankingDrops(settings.rankingDrops);
+    document.getElementById('auto-refresh-hours').value = settings.autoRefreshHours ?? 24;
+
+    renderAwards();
+  }
+
+  async function save() {
+    const changes = {};
+
+    // API Token - only update if a new value was entered
+    const tokenInput = document.getElementById('api-token');
+    const newToken = tokenInput.value.trim();
+    if (newToken) {
+      changes.apiToken = newToken;
+    }
+
+    changes.matchFilterType = document.querySelector('input[name="match-filter"]:checked')?.value || 'since_date';
+    changes.matchFilterDate = document.getElementById('filter-date').value;
+    changes.matchFilterCount = parseInt(document.getElementById('filter-count').value) || 5;
+    changes.matchRounds = Object.fromEntries(
+      Array.from(document.querySelectorAll('input[name="match-round"]')).map(checkbox => [checkbox.value, checkbox.checked])
+    );
+    changes.matchAverageMode = document.querySelector('input[name="average-mode"]:checked')?.value || 'mean';
+    changes.decayHalfLifeDays = Math.max(1, parseInt(document.getElementById('decay-half-life').value, 10) || 30);
+    changes.trimPercent = Math.min(45, Math.max(0, parseInt(document.getElementById('trim-percent').value, 10) || 0));
+    changes.bestOfN = Math.max(1, parseInt(document.getElementById('best-of-n').value, 10) || 5);
+    changes.bestOfM = Math.max(changes.bestOfN, parseInt(document.getElementById('best-of-m').value, 10) || 10);
+    changes.rankingDrops = parseRankingDrops(document.getElementById('ranking-drops').value);
+    const refreshHours = parseInt(document.getElementById('auto-refresh-hours').value, 10);
+    changes.autoRefreshHours = refreshHours >= 0 ? refreshHours : 24;
+
+    changes.hiddenAwards = Array.from(document.querySelectorAll('input[name="award"]'))
+      .filter(checkbox => !checkbox.checked)
+      .map(checkbox => checkbox.value);
+
+    await chrome.storage.local.set(changes);
+    settings = { ...settings, ...changes };
+
+    tokenInput.value = '';
+    renderTokenStatus();
+    document.getElementById('save-status').innerHTML = '<span class="success">✓ Settings saved!</span>';
+    setTimeout(() => {
+      document.getElementById('save-status').innerHTML = '';
+    }, 2000);
+  }
+
+  async function clearToken() {
+    settings.apiToken = '';
+    await chrome.storage.local.set({ apiToken: '' });
+    renderTokenStatus();
+    document.getElementById('token-status').innerHTML = '<span>Token cleared.</span>';
+  }
+
+  async function init() {
+    const saved = await chrome.storage.local.get(Object.keys(settings));
+    settings = { ...settings, ...saved };
+    render();
+
+    document.getElementById('save').addEventListener('click', save);
+    document.getElementById('clear-token').addEventListener('click', clearToken);
+  }
+
+  init();
+})();
@@ -0,0 +1,242 @@
+// VIQRC Enhanced - Table Search Queries
+// Parses search box queries such as `score>=150 auto>60 region:"California" grade:ms highlighted`
+// into a test for table rows. Loaded before content.js and event-page.js, which use vexQuery.compile
+// with their own field definitions.
+(function() {
+  'use strict';
+
+  // Comparison operators, longest first so '>=' wins over '>'
+  const OPERATORS = ['>=', '<=', '!=', '>', '<', '=', ':'];
+
+  // A syntax error, with the position of the offending text in the query
+  class QueryError extends Error {
+    constructor(message, start, end) {
+      super(message);
+      this.name = 'QueryError';
+      this.start = start;
+      this.end = end;
+    }
+  }
+
+  // Split a query into words, quoted strings, operators, parentheses and negations ('-' or '!').
+  // Quotes only start a string at the start of a token, so apostrophes in words (mary's) are kept.
+  function tokenize(query) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < query.length) {
+      const ch = query[i];
+
+      if (/\s/.test(ch)) {
+        i++;
+      } else if (ch === '(' || ch === ')') {
+        tokens.push({ type: ch, start: i, end: i + 1 });
+        i++;
+      } else if (ch === '"' || ch === "'") {
+        const close = query.indexOf(ch, i + 1);
+        if (close === -1) throw new QueryError('Missing closing quote', i, query.length);
+        tokens.push({ type: 'string', value: query.slice(i + 1, close), start: i, end: close + 1 });
+        i = close + 1;
+      } else if ((ch === '-' || (ch === '!' && query[i + 1] !== '=')) &&
+                 tokens[tokens.length - 1]?.type !== 'op' && /[^\s)]/.test(query[i + 1] || ' ')) {
+        // '-' only negates at the start of a condition; after an operator it is a minus sign
+        tokens.push({ type: 'not', start: i, end: i + 1 });
+        i++;
+      } else {
+        const op = OPERATORS.find(o => query.startsWith(o, i));
+        if (op) {
+          tokens.push({ type: 'op', value: op, start: i, end: i + op.length });
+          i += op.length;
+        } else {
+          let end = i + 1;
+          while (end < query.length && !/[\s()<>=!:]/.test(query[end])) end++;
+          tokens.push({ type: 'word', value: query.slice(i, end), start: i, end });
+          i = end;
+        }
+      }
+    }
+
+    return tokens;
+  }
+
+  // Field lookup by lower-case name and alias
+  function buildFieldIndex(fields) {
+    const index = new Map();
+    Object.entries(fields).forEach(([name, field]) => {
+      [name, ...(field.aliases || [])].forEach(alias => index.set(alias.toLowerCase(), { name, ...field }));
+    });
+    return index;
+  }
+
+  // Test for `field op value`
+  function compileComparison(fieldToken, opToken, valueToken, index) {
+    const field = index.get(fieldToken.value.toLowerCase());
+    const op = opToken.value;
+    if (field.type === 'number') {
+      const target = Number(valueToken.value);
+      if (valueToken.value === '' || !isFinite(target)) {
+        throw new QueryError(`"${field.name}" needs a number`, valueToken.start, valueToken.end);
+      }
+      const compare = {
+        ':': (a, b) => a === b,
+        '=': (a, b) => a === b,
+        '!=': (a, b) => a !== b,
+        '>': (a, b) => a > b,
+        '>=': (a, b) => a >= b,
+        '<': (a, b) => a < b,
+        '<=': (a, b) => a <= b
+      }[op];
+      // Rows without a value (e.g. no match data yet) never match a numeric condition
+      return (item, context) => {
+        const value = field.get(item, context);
+        return value !== null && value !== undefined && compare(value, target);
+      };
+    }
+
+    if (field.type === 'flag') {
+      const wanted = { yes: true, true: true, y: true, '1': true, no: false, false: false, n: false, '0': false }[valueToken.value.toLowerCase()];
+      if (wanted === undefined || !['=', ':', '!='].includes(op)) {
+        throw new QueryError(`"${field.name}" is yes or no; write ${field.name} or NOT ${field.name}`, opToken.start, valueToken.end);
+      }
+      return (item, context) => !!field.get(item, context) === (op === '!=' ? !wanted : wanted);
+    }
+
+    // Text: ':' contains, '=' equals; values may be shorthands (e.g. grade:ms)
+    if (![':', '=', '!='].includes(op)) {
+      throw new QueryError(`"${field.name}" is text; use ":" (contains) or "=" (equals)`, opToken.start, opToken.end);
+    }
+    const needle = valueToken.value.toLowerCase();
+    const target = field.values?.[needle] || needle;
+    return (item, context) => {
+      const value = String(field.get(item, context) ?? '').toLowerCase();
+      if (op === ':') return value.includes(target);
+      return op === '=' ? value === target : value !== target;
+    };
+  }
+
+  // Test for text to look for in the row (team number, name and organization)
+  function compileText(value, text) {
+    const needle = value.toLowerCase();
+    return (item, context) => text(item, context).toLowerCase().includes(needle);
+  }
+
+  // Test for a lone word: a flag field by name, otherwise text to look for in the row
+  function compileBare(token, index, text) {
+    const field = token.type === 'word' ? index.get(token.value.toLowerCase()) : null;
+    if (field?.type === 'flag') {
+      return (item, context) => !!field.get(item, context);
+    }
+    return compileText(token.value, text);
+  }
+
+  // Recursive descent over: or := and (OR and)* ; and := unary (AND? unary)* ;
+  // unary := (NOT | - | !) unary | '(' or ')' | field op value | word | "string"
+  // Keywords are upper case only, so a lower-case 'and' or 'or' is searched for like any other word.
+  function parse(query, schema) {
+    const tokens = tokenize(query);
+    const index = buildFieldIndex(schema.fields);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const isKeyword = (token, word) => token?.type === 'word' && token.value === word;
+
+    function parseOr() {
+      const tests = [parseAnd()];
+      while (isKeyword(peek(), 'OR')) {
+        pos++;
+        tests.push(parseAnd());
+      }
+      return tests.length === 1 ? tests[0] : (item, context) => tests.some(test => test(item, context));
+    }
+
+    function parseAnd() {
+      const tests = [parseUnary()];
+      while (pos < tokens.length && peek().type !== ')' && !isKeyword(peek(), 'OR')) {
+        if (isKeyword(peek(), 'AND')) pos++;
+        tests.push(parseUnary());
+      }
+      return tests.length === 1 ? tests[0] : (item, context) => tests.every(test => test(item, context));
+    }
+
+    function parseUnary() {
+      const token = peek();
+      if (!token) {
+        const last = tokens[tokens.length - 1];
+        throw new QueryError(`Expected a condition after "${query.slice(last.start, last.end)}"`, last.start, last.end);
+      }
+
+      if (token.type === 'not' || isKeyword(token, 'NOT')) {
+        pos++;
+        const test = parseUnary();
+        return (item, context) => !test(item, context);
+      }
+
+      if (token.type === '(') {
+        pos++;
+        const test = parseOr();
+        if (peek()?.type !== ')') throw new QueryError('Missing closing parenthesis', token.start, query.length);
+        pos++;
+        return test;
+      }
+
+      if (token.type === ')') throw new QueryError('Unexpected ")"', token.start, token.end);
+      if (token.type === 'op') throw new QueryError(`Expected a field name before "${token.value}"`, token.start, token.end);
+      if (isKeyword(token, 'AND') || isKeyword(token, 'OR')) {
+        throw new QueryError(`Expected a condition before "${token.value}"`, token.start, token.end);
+      }
+
+      pos++;
+      if (token.type === 'word' && peek()?.type === 'op') {
+        const opToken = tokens[pos++];
+        const valueToken = peek();
+        const hasValue = valueToken?.type === 'word' || valueToken?.type === 'string';
+        if (!index.has(token.value.toLowerCase())) {
+          // Not a field (e.g. "robo-kids:"): search for the text as typed
+          if (hasValue) pos++;
+          return compileText(query.slice(token.start, hasValue ? valueToken.end : opToken.end), schema.text);
+        }
+        if (!hasValue) {
+          throw new QueryError(`Expected a value after "${token.value}${opToken.value}"`, token.start, opToken.end);
+        }
+        pos++;
+        return compileComparison(token, opToken, valueToken, index);
+      }
+      return compileBare(token, index, schema.text);
+    }
+
+    const test = parseOr();
+    if (pos < tokens.length) {
+      const token = peek();
+      throw new QueryError(`Unexpected "${query.slice(token.start, token.end)}"`, token.start, token.end);
+    }
+    return test;
+  }
+
+  // Compile a query against a schema ({ fields, text }). Returns { test, error }; test(item, context)
+  // is null when the query has an error ({ message, start, end }). An empty query matches every row.
+  function compile(query, schema) {
+    if (!query || !query.trim()) {
+      return { test: () => true, error: null };
+    }
+    try {
+      return { test: parse(query, schema), error: null };
+    } catch (err) {
+      if (!(err instanceof QueryError)) throw err;
+      return { test: null, error: { message: err.message, start: err.start, end: err.end } };
+    }
+  }
+
+  // One-line help listing a schema's fields, for the search box tooltip
+  function describeFields(schema) {
+    const entries = Object.entries(schema.fields);
+    const names = (type) => entries.filter(([, field]) => field.type === type).map(([name]) => name).join(', ');
+    return [
+      `Numbers (>, >=, <, <=, =, !=): ${names('number')}`,
+      `Text (: contains, = equals): ${names('text')}`,
+      `Yes/no: ${names('flag')}`,
+      'Combine with AND (or a space), OR, NOT (or -) and parentheses; the keywords are upper case. Other words search team number, name and organization.'
+    ].join('\n');
+  }
+
+  globalThis.vexQuery = { compile, describeFields };
+})();
@@ -0,0 +1,183 @@
+// VIQRC Enhanced - Shared Helpers
+// Highlight groups, search query fields and export helpers used by both the skills page (content.js)
+// and event pages (event-page.js). Loaded before them; they pick what they need from vexShared.
+// The background worker imports it too, for capture history.
+(function() {
+  'use strict';
+
+  const log = (...args) => console.log('VIQRC Enhanced -', ...args);
+
+  const CAPTURE_HISTORY_LIMIT = 50; // Registration changes kept per competition
+
+  // Highlight groups: { id, name, color, enabled, teams: [team numbers] }
+  const DEFAULT_HIGHLIGHT_GROUP = { id: 'highlighted', name: 'Highlighted', color: '#ffc107', enabled: true, teams: [] };
+
+  // Escape user-entered text (e.g. group names) for HTML
+  function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  // Enabled highlight groups for each team number
+  function getGroupMembership(highlightGroups) {
+    const membership = new Map();
+    (highlightGroups || []).filter(group => group.enabled).forEach(group => {
+      group.teams.forEach(team => {
+        const key = team.toUpperCase();
+        if (!membership.has(key)) membership.set(key, []);
+        membership.get(key).push(group);
+      });
+    });
+    return membership;
+  }
+
+  // Row highlight: the colour of the team's first group, otherwise competition green
+  function getRowHighlight(groups, isCompetition) {
+    if (groups.length > 0) {
+      return { className: 'vex-group-row', style: `--vex-group-color: ${groups[0].color};` };
+    }
+    return { className: isCompetition ? 'vex-competition-row' : '', style: '' };
+  }
+
+  // Dark or light badge text, whichever reads better on the group colour
+  function badgeTextColor(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    const luminance = 0.299 * (value >> 16) + 0.587 * ((value >> 8) & 0xFF) + 0.114 * (value & 0xFF);
+    return luminance > 160 ? '#333' : 'white';
+  }
+
+  // One badge per group the team is in (plus the competition, whose green a group colour replaces)
+  function buildGroupBadges(groups, isCompetition) {
+    if (groups.length === 0) return '';
+    const badges = groups.map(group =>
+      `<span class="vex-group-badge" style="background: ${group.color}; color: ${badgeTextColor(group.color)};" title="${escapeHtml(group.name)}">${escapeHtml(group.name)}</span>`
+    );
+    if (isCompetition) {
+      badges.push('<span class="vex-group-badge vex-competition-badge" title="In a loaded competition">Competition</span>');
+    }
+    return `<span class="vex-group-badges">${badges.join('')}</span>`;
+  }
+
+  // Turn the single highlighted team list of older versions into the default highlight group
+  async function migrateHighlightedTeams(saved) {
+    if (saved.highlightGroups || !Array.isArray(saved.highlightedTeams)) return;
+
+    saved.highlightGroups = [{ ...DEFAULT_HIGHLIGHT_GROUP, teams: saved.highlightedTeams }];
+    delete saved.highlightedTeams;
+    await chrome.storage.local.set({ highlightGroups: saved.highlightGroups });
+    await chrome.storage.local.remove('highlightedTeams');
+    log('Moved highlighted teams into the default highlight group');
+  }
+
+  // Grade level shorthands for search queries (grade:ms)
+  const GRADE_SHORTHANDS = {
+    es: 'elementary', elem: 'elementary',
+    ms: 'middle school', middle: 'middle school',
+    hs: 'high school', high: 'high school'
+  };
+
+  // Search query fields (see query.js) both tables have; each page adds its own columns.
+  // The context needs groups (getGroupMembership) and competition (a Set of team numbers).
+  const TEAM_QUERY_FIELDS = {
+    team: { type: 'text', aliases: ['number'], get: item => item.team },
+    name: { type: 'text', get: item => item.teamName },
+    org: { type: 'text', aliases: ['organization', 'school'], get: item => item.organization },
+    city: { type: 'text', get: item => item.city },
+    region: { type: 'text', aliases: ['state'], get: item => item.region },
+    country: { type: 'text', get: item => item.country },
+    grade: { type: 'text', get: item => item.gradeLevel, values: GRADE_SHORTHANDS },
+    group: { type: 'text', get: (item, context) => (context.groups.get(item.team.toUpperCase()) || []).map(group => group.name).join('\n') },
+    score: { type: 'number', get: item => item.score },
+    auto: { type: 'number', aliases: ['programming', 'prog'], get: item => item.programming },
+    driver: { type: 'number', get: item => item.driver },
+    rank: { type: 'number', get: item => item.rank },
+    highlighted: { type: 'flag', get: (item, context) => context.groups.has(item.team.toUpperCase()) },
+    competition: { type: 'flag', aliases: ['comp'], get: (item, context) => context.competition.has(item.team.toUpperCase()) }
+  };
+
+  // Words that aren't a field condition search team number, name and organization
+  const teamQueryText = item => `${item.team} ${item.teamName} ${item.organization}`;
+
+  // Show a query's syntax error under the search box, marking the offending text
+  function renderQueryError(element, query, queryError) {
+    if (!element) return;
+    element.innerHTML = queryError
+      ? `${escapeHtml(queryError.message)}: <code>${escapeHtml(query.slice(0, queryError.start))}<mark>${escapeHtml(query.slice(queryError.start, queryError.end) || ' ')}</mark>${escapeHtml(query.slice(queryError.end))}</code>`
+      : '';
+  }
+
+  // Quote a CSV field when it contains a delimiter, quote or line break
+  function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    // Spreadsheets run text starting with = + - @ as a formula; numbers (e.g. -3.5) stay as they are
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Trigger a file download from the page
+  function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Keep registration changes between captures: the new capture gets the previous capture's history,
+  // plus an entry for the teams that joined or withdrew since then
+  function mergeCaptureHistory(previous, capture) {
+    const history = [...(previous?.history || [])];
+    if (previous?.teams) {
+      const before = new Set(previous.teams.map(team => team.toUpperCase()));
+      const after = new Set(capture.teams.map(team => team.toUpperCase()));
+      const added = [...after].filter(team => !before.has(team));
+      const removed = [...before].filter(team => !after.has(team));
+      if (added.length > 0 || removed.length > 0) {
+        history.push({ at: capture.fetchedAt, since: previous.fetchedAt || null, added, removed });
+      }
+    }
+
+    return {
+      ...previous,
+      ...capture,
+      program: capture.program || previous?.program || null,
+      capacity: capture.capacity || previous?.capacity || '',
+      firstCapturedAt: previous?.firstCapturedAt || previous?.fetchedAt || capture.fetchedAt,
+      history: history.slice(-CAPTURE_HISTORY_LIMIT)
+    };
+  }
+
+  // Summary of one registration change, e.g. '2 joined, 1 withdrew'
+  function summarizeRegistrationChange(entry) {
+    return [
+      entry.added.length > 0 ? `${entry.added.length} joined` : '',
+      entry.removed.length > 0 ? `${entry.removed.length} withdrew` : ''
+    ].filter(Boolean).join(', ');
+  }
+
+  // The registration change recorded by a capture, if that capture found one
+  function getCaptureChange(capture) {
+    const latest = capture.history?.[capture.history.length - 1];
+    return latest && latest.at === capture.fetchedAt ? latest : null;
+  }
+
+  globalThis.vexShared = {
+    DEFAULT_HIGHLIGHT_GROUP,
+    escapeHtml,
+    getGroupMembership,
+    getRowHighlight,
+    badgeTextColor,
+    buildGroupBadges,
+    migrateHighlightedTeams,
+    TEAM_QUERY_FIELDS,
+    teamQueryText,
+    renderQueryError,
+    csvField,
+    downloadFile,
+    mergeCaptureHistory,
+    summarizeRegistrationChange,
+    getCaptureChange
+  };
+})();
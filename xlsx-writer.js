@@ -0,0 +1,203 @@
+// VIQRC Enhanced - XLSX Writer
+// Builds a minimal .xlsx workbook (an uncompressed zip of SpreadsheetML parts) for the event page export,
+// so no third-party library has to be bundled. Loaded before event-page.js, which uses vexXlsx.buildWorkbook.
+(function() {
+  'use strict';
+
+  const encoder = new TextEncoder();
+
+  // CRC-32 lookup table (zip checksums)
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  // Date and time in MS-DOS format, as zip headers expect
+  function dosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  // Pack files ({ name, content }) into a zip archive using the "stored" (no compression) method
+  function buildZip(files) {
+    const { time, date } = dosDateTime(new Date());
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const data = encoder.encode(file.content);
+      const crc = crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);   // Local file header signature
+      local.setUint16(4, 20, true);           // Version needed to extract
+      local.setUint16(6, 0x0800, true);       // Flags: names are UTF-8
+      local.setUint16(8, 0, true);            // Method: stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true); // Compressed size
+      local.setUint32(22, data.length, true); // Uncompressed size
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);           // Extra field length
+      localParts.push(new Uint8Array(local.buffer), name, data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014B50, true); // Central directory header signature
+      central.setUint16(4, 20, true);         // Version made by
+      central.setUint16(6, 20, true);         // Version needed to extract
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);    // Offset of the local header
+      centralParts.push(new Uint8Array(central.buffer), name);
+
+      offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);       // End of central directory signature
+    end.setUint16(8, files.length, true);     // Entries on this disk
+    end.setUint16(10, files.length, true);    // Total entries
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);          // Offset of the central directory
+
+    return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], {
+      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    });
+  }
+
+  // Escape text for XML (dropping control characters XML cannot represent)
+  function escapeXml(value) {
+    return String(value)
+      .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Column letters for a zero-based index (0 -> A, 26 -> AA)
+  function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+  }
+
+  // One cell; numbers and booleans keep their type, everything else is an inline string
+  function buildCell(value, ref, style) {
+    const s = style ? ` s="${style}"` : '';
+    if (value === null || value === undefined || value === '') return '';
+    if (typeof value === 'number' && isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+    if (typeof value === 'boolean') return `<c r="${ref}" t="b"${s}><v>${value ? 1 : 0}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"${s}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+  }
+
+  // Worksheet XML for rows of values; the first row is a bold header
+  function buildSheet(rows) {
+    const xmlRows = rows.map((row, r) => {
+      const cells = row.map((value, c) => buildCell(value, `${columnName(c)}${r + 1}`, r === 0 ? 1 : 0)).join('');
+      return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+      `<sheetData>${xmlRows}</sheetData></worksheet>`;
+  }
+
+  // Sheet names are limited to 31 characters and may not contain []:*?/\
+  function sheetName(name, index) {
+    return (String(name).replace(/[[\]:*?/\\]/g, ' ').trim() || `Sheet${index + 1}`).slice(0, 31);
+  }
+
+  // Build a workbook from sheets ({ name, rows }) where rows[0] is the header row; returns a Blob
+  function buildWorkbook(sheets) {
+    const files = [
+      {
+        name: '[Content_Types].xml',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+          '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+          '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+          sheets.map((sheet, i) =>
+            `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+          ).join('') +
+          '</Types>'
+      },
+      {
+        name: '_rels/.rels',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+          '</Relationships>'
+      },
+      {
+        name: 'xl/workbook.xml',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+          '<sheets>' +
+          sheets.map((sheet, i) =>
+            `<sheet name="${escapeXml(sheetName(sheet.name, i))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`
+          ).join('') +
+          '</sheets></workbook>'
+      },
+      {
+        name: 'xl/_rels/workbook.xml.rels',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          sheets.map((sheet, i) =>
+            `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+          ).join('') +
+          `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+          '</Relationships>'
+      },
+      {
+        // Style 0 is the default, style 1 is bold (header row)
+        name: 'xl/styles.xml',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+          '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+          '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+          '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+          '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+          '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+          '</styleSheet>'
+      },
+      ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: buildSheet(sheet.rows) }))
+    ];
+
+    return buildZip(files);
+  }
+
+  globalThis.vexXlsx = { buildWorkbook };
+})();